@@ -1,5 +1,7 @@
 import {
+	ApiWarnings,
 	DEFAULT_OPTIONS,
+	responseBoolean,
 	set,
 } from 'm3api/core.js';
 
@@ -7,12 +9,32 @@ import {
  * A symbol that is used to attach the surrounding page to a revision object,
  * as returned by {@link getResponseRevisionByRevisionId},
  * {@link queryPotentialRevisionByRevisionId},
- * and {@link queryFullRevisionByRevisionId}.
+ * {@link queryFullRevisionByRevisionId},
+ * {@link queryFullRevisionsByRevisionIds},
+ * {@link queryFullRevisions},
+ * {@link queryFullDeletedRevisionByRevisionId},
+ * {@link queryFullDeletedRevisions},
+ * {@link queryFullPageHistories},
+ * and {@link queryRevisionsBetween}.
  *
  * @type {symbol}
  */
 const pageOfRevision = Symbol( 'pageOfRevision' );
 
+/**
+ * A symbol that is used to attach merge conflicts to a page object,
+ * if the m3api-query/collectMergeConflicts option is enabled.
+ *
+ * The value is an array of objects with the keys path, base and incremental,
+ * for each value that could not be merged (i.e., for which mergeValues threw an error):
+ * the path of the value, the value from the base object (which was kept),
+ * and the value from the incremental object (which was discarded).
+ * If there were no conflicts, the symbol is not set at all.
+ *
+ * @type {symbol}
+ */
+const mergeConflicts = Symbol( 'mergeConflicts' );
+
 /**
  * Attach the given page to the given revision.
  *
@@ -183,6 +205,20 @@ function getResponsePageByPageId( response, pageId ) {
  * its contents will similarly depend on the request parameters, especially prop.
  */
 function getResponseRevisionByRevisionId( response, revisionId ) {
+	return getResponseRevisionOfProp( response, revisionId, 'revisions' );
+}
+
+/**
+ * Get the revision with the given revision ID out of an API response,
+ * looking for it in the given revisions prop of each page.
+ *
+ * @private
+ * @param {Object} response
+ * @param {string|number} revisionId
+ * @param {string} prop The prop with the revisions, i.e. revisions or deletedrevisions.
+ * @return {Object|null}
+ */
+function getResponseRevisionOfProp( response, revisionId, prop ) {
 	if ( typeof revisionId === 'number' ) {
 		revisionId = revisionId.toString();
 	}
@@ -202,7 +238,7 @@ function getResponseRevisionByRevisionId( response, revisionId ) {
 	// if there is more than one page in the whole response,
 	// so at least one of the loops is iterating over a single element
 	for ( const page of pages ) {
-		const { revisions, ...remainingPage } = page;
+		const { [ prop ]: revisions, ...remainingPage } = page;
 		for ( const revision of revisions || [] ) {
 			if ( revisionId === revision.revid.toString() ) {
 				return revisionWithPage( revision, remainingPage );
@@ -212,6 +248,171 @@ function getResponseRevisionByRevisionId( response, revisionId ) {
 	return null;
 }
 
+/**
+ * An error indicating that the content of a revision is hidden,
+ * as reported by {@link getRevisionContent}.
+ */
+class RevisionContentHiddenError extends Error {
+
+	/**
+	 * @param {Object} revision The revision whose content is hidden.
+	 * @param {string} slot The requested slot.
+	 * @param {boolean} suppressed Whether the content is suppressed
+	 * (hidden from administrators as well) rather than just deleted.
+	 */
+	constructor( revision, slot, suppressed ) {
+		super( `The content of revision ${ revision.revid } (slot ${ slot }) ` +
+			`is ${ suppressed ? 'suppressed' : 'hidden' }.` );
+
+		if ( Error.captureStackTrace ) {
+			Error.captureStackTrace( this, RevisionContentHiddenError );
+		}
+
+		this.name = 'RevisionContentHiddenError';
+
+		/**
+		 * The revision whose content is hidden.
+		 *
+		 * @member {Object}
+		 */
+		this.revision = revision;
+
+		/**
+		 * The requested slot.
+		 *
+		 * @member {string}
+		 */
+		this.slot = slot;
+
+		/**
+		 * Whether the content is suppressed
+		 * (hidden from administrators as well) rather than just deleted.
+		 *
+		 * @member {boolean}
+		 */
+		this.suppressed = suppressed;
+	}
+
+}
+
+/**
+ * Get the given slot of a revision,
+ * or, for the main slot of a revision requested without rvslots,
+ * the revision itself (which then has the legacy content keys).
+ *
+ * @private
+ * @param {Object} revision
+ * @param {string} slot
+ * @return {Object|null}
+ */
+function getRevisionSlot( revision, slot ) {
+	if ( revision.slots !== undefined ) {
+		return revision.slots[ slot ] || null;
+	}
+	return slot === 'main' ? revision : null;
+}
+
+/**
+ * Get the content model of a revision slot.
+ *
+ * Works for both formatversions,
+ * and for revisions requested with or without the rvslots parameter.
+ *
+ * @param {Object} revision A revision object,
+ * e.g. as returned by {@link queryFullRevisions},
+ * requested with rvprop including contentmodel.
+ * @param {string} [slot] The slot role.
+ * @return {string|null} The content model (e.g. wikitext),
+ * or null if the revision does not have this slot or the content model was not requested.
+ */
+function getRevisionContentModel( revision, slot = 'main' ) {
+	const revisionSlot = getRevisionSlot( revision, slot );
+	if ( revisionSlot === null || revisionSlot.contentmodel === undefined ) {
+		return null;
+	}
+	return revisionSlot.contentmodel;
+}
+
+/**
+ * Get the content of a revision slot.
+ *
+ * Works for both formatversions (content or * key),
+ * and for revisions requested with or without the rvslots parameter
+ * (though the latter is deprecated and only supports the main slot).
+ *
+ * @param {Object} revision A revision object,
+ * e.g. as returned by {@link queryFullRevisions},
+ * requested with rvprop including content.
+ * @param {string} [slot] The slot role.
+ * @param {Object} [config]
+ * @param {boolean} [config.parseJson] Whether to parse the content as JSON
+ * if the content model of the slot is json.
+ * (This requires rvprop to also include contentmodel.)
+ * @return {string|*|null} The content, or the parsed JSON content,
+ * or null if the revision is missing, does not have this slot,
+ * or its content is missing or was not requested.
+ * @throws {RevisionContentHiddenError} If the content is hidden.
+ */
+function getRevisionContent( revision, slot = 'main', { parseJson = false } = {} ) {
+	if ( responseBoolean( revision.missing ) ) {
+		return null;
+	}
+	const revisionSlot = getRevisionSlot( revision, slot );
+	const textHidden = responseBoolean( revision.texthidden ) ||
+		( revisionSlot !== null && responseBoolean( revisionSlot.texthidden ) );
+	if ( textHidden ) {
+		const suppressed = responseBoolean( revision.suppressed );
+		throw new RevisionContentHiddenError( revision, slot, suppressed );
+	}
+	if ( revisionSlot === null || responseBoolean( revisionSlot.textmissing ) ) {
+		return null;
+	}
+
+	let content = revisionSlot.content;
+	if ( content === undefined ) {
+		content = revisionSlot[ '*' ];
+	}
+	if ( content === undefined ) {
+		return null;
+	}
+	if ( parseJson && revisionSlot.contentmodel === 'json' ) {
+		return JSON.parse( content );
+	}
+	return content;
+}
+
+/**
+ * Get all the revisions out of an API response,
+ * including missing revisions.
+ *
+ * @private
+ * @param {Object} response
+ * @param {string} [prop] The prop with the revisions, i.e. revisions or deletedrevisions.
+ * @return {Object[]} The revisions, with pages attached
+ * using {@link pageOfRevision} (except for missing revisions).
+ */
+function getResponseRevisions( response, prop = 'revisions' ) {
+	const query = response.query || {};
+	const revisions = [];
+
+	for ( const revision of Object.values( query.badrevids || {} ) ) {
+		revisions.push( missingRevision( revision, response, query ) );
+	}
+
+	let pages = query.pages || [];
+	if ( !Array.isArray( pages ) ) {
+		pages = Object.values( pages );
+	}
+	for ( const page of pages ) {
+		const { [ prop ]: pageRevisions, ...remainingPage } = page;
+		for ( const revision of pageRevisions || [] ) {
+			revisions.push( revisionWithPage( revision, remainingPage ) );
+		}
+	}
+
+	return revisions;
+}
+
 /**
  * Like Array.from() but for Sets.
  *
@@ -232,6 +433,28 @@ function setFrom( iterable, mapFn, thisArg ) {
 	return set;
 }
 
+/**
+ * Split an iterable into arrays of at most the given size.
+ *
+ * @private
+ * @param {Object} iterable
+ * @param {number} size
+ * @yield {Array}
+ */
+function * chunks( iterable, size ) {
+	let chunk = [];
+	for ( const element of iterable ) {
+		chunk.push( element );
+		if ( chunk.length >= size ) {
+			yield chunk;
+			chunk = [];
+		}
+	}
+	if ( chunk.length > 0 ) {
+		yield chunk;
+	}
+}
+
 /**
  * @private
  * @param {Object} params
@@ -246,6 +469,20 @@ function disallowGenerator( params, paramName ) {
 	}
 }
 
+/**
+ * @private
+ * @param {Object} params
+ * @param {string} paramName
+ * @param {string} caller
+ */
+function disallowBulkParam( params, paramName, caller ) {
+	disallowGenerator( params, paramName );
+	if ( params[ paramName ] !== undefined ) {
+		throw new RangeError( `params.${ paramName } cannot be used with ${ caller }() ` +
+			`(pass the ${ paramName } as a separate argument instead)` );
+	}
+}
+
 /**
  * @private
  * @param {Object} params Not modified.
@@ -360,12 +597,13 @@ function makeParamsWithPageId( params, pageId ) {
  * @private
  * @param {Object} params Not modified.
  * @param {string|number} revisionId
+ * @param {string} [prop] The prop to add, i.e. revisions or deletedrevisions.
  * @return {Object}
  */
-function makeParamsWithRevisionId( params, revisionId ) {
+function makeParamsWithRevisionId( params, revisionId, prop = 'revisions' ) {
 	disallowGenerator( params, 'revids' );
 	params = makeParamsWithNumeric( 'revids', params, revisionId );
-	params = makeParamsWithString( 'prop', params, 'revisions' );
+	params = makeParamsWithString( 'prop', params, prop );
 	return params;
 }
 
@@ -413,7 +651,8 @@ function assertReturnsPages( params, caller ) {
  * one from the latest response.
  *
  * This callback is used to merge different values with no obvious merge strategy.
- * The obvious merge strategy is to merge objects recursively, and concatenate arrays.
+ * The obvious merge strategy is to merge objects recursively,
+ * and merge arrays (see {@link mergeArrays}).
  * The callback is therefore used when a value is present in both objects,
  * the values are not both objects or both arrays, and they are not the same.
  *
@@ -444,6 +683,19 @@ function mergeValues( base, incremental, path ) {
 		return base;
 	}
 
+	throw mergeError( base, incremental, path );
+}
+
+/**
+ * Create an error for two values that cannot be merged.
+ *
+ * @private
+ * @param {*} base
+ * @param {*} incremental
+ * @param {string} path
+ * @return {Error}
+ */
+function mergeError( base, incremental, path ) {
 	function format( value ) {
 		if ( value === null ) {
 			return 'null';
@@ -457,12 +709,204 @@ function mergeValues( base, incremental, path ) {
 		return `${ typeof value } (${ value })`;
 	}
 
-	throw new Error(
+	return new Error(
 		`Error merging objects from two responses at ${ path }: ` +
 			`Cannot merge ${ format( base ) } with ${ format( incremental ) }`,
 	);
 }
 
+/**
+ * The built-in strategies of {@link mergeStrategies}, by name.
+ *
+ * @private
+ * @type {Object<string, mergeValues>}
+ */
+const namedMergeStrategies = {
+	base: ( base ) => base,
+	first: ( base ) => base,
+	incremental: ( base, incremental ) => incremental,
+	last: ( base, incremental ) => incremental,
+	max: ( base, incremental ) => incremental > base ? incremental : base,
+	min: ( base, incremental ) => incremental < base ? incremental : base,
+	error: ( base, incremental, path ) => {
+		throw mergeError( base, incremental, path );
+	},
+};
+
+/**
+ * Turn a glob-style path pattern into a regular expression.
+ *
+ * @private
+ * @param {string} pattern A pattern where * matches one path segment
+ * and ** matches one or more path segments.
+ * @return {RegExp}
+ */
+function pathPatternRegExp( pattern ) {
+	const source = pattern.split( '.' ).map( ( segment ) => {
+		if ( segment === '**' ) {
+			return '.+';
+		}
+		return segment
+			.split( '*' )
+			.map( ( part ) => part.replace( /[\\^$+?.()|[\]{}]/g, '\\$&' ) )
+			.join( '[^.]*' );
+	} ).join( '\\.' );
+	// eslint-disable-next-line security/detect-non-literal-regexp
+	return new RegExp( `^${ source }$` );
+}
+
+/**
+ * Create a {@link mergeValues} implementation from a registry of path patterns.
+ *
+ * Each key of the registry is a pattern for the path of a value,
+ * as passed to mergeValues (e.g. touched or pageprops.wikibase_item),
+ * where * matches a single path segment (e.g. pageprops.*)
+ * and ** matches one or more path segments (e.g. revisions.**).
+ * Each value is either a mergeValues callback, or the name of a built-in strategy:
+ *
+ * - base or first: use the value from the base object (the earlier response).
+ * - incremental or last: use the value from the incremental object (the latest response).
+ * - max: use the greater of the two values.
+ * - min: use the lesser of the two values.
+ * - error: throw an error.
+ *
+ * The first pattern (in registry order) that matches the path is used;
+ * if no pattern matches, the fallback is used.
+ * For example:
+ * ```
+ * const options = {
+ *     'm3api-query/mergeValues': mergeStrategies( {
+ *         'pageprops.*': 'last',
+ *         touched: 'max',
+ *         length: 'incremental',
+ *     } ),
+ * };
+ * ```
+ *
+ * @param {Object<string, string|mergeValues>} strategies The registry.
+ * @param {mergeValues} [fallback] The implementation for paths not matching any pattern.
+ * Defaults to {@link mergeValues}.
+ * @return {mergeValues}
+ */
+function mergeStrategies( strategies, fallback = mergeValues ) {
+	const rules = Object.entries( strategies ).map( ( [ pattern, strategy ] ) => {
+		if ( typeof strategy === 'string' ) {
+			if ( !Object.prototype.hasOwnProperty.call( namedMergeStrategies, strategy ) ) {
+				throw new RangeError( `Unknown merge strategy for ${ pattern }: ${ strategy }` );
+			}
+			strategy = namedMergeStrategies[ strategy ];
+		}
+		return [ pathPatternRegExp( pattern ), strategy ];
+	} );
+	return function ( baseValue, incrementalValue, path, base, key ) {
+		for ( const [ regExp, strategy ] of rules ) {
+			if ( regExp.test( path ) ) {
+				return strategy( baseValue, incrementalValue, path, base, key );
+			}
+		}
+		return fallback( baseValue, incrementalValue, path, base, key );
+	};
+}
+
+/**
+ * Merge two arrays, one from a base object
+ * (based on an earlier response, possibly already merged),
+ * one from the latest response.
+ *
+ * This callback is used whenever an array is present in both objects.
+ *
+ * @callback mergeArrays
+ * @param {Array} baseValue The array from the base object.
+ * @param {Array} incrementalValue The array from the incremental (new) object.
+ * @param {string} path The path to the array, e.g. categories or revisions.
+ * @param {Object} base The full base object.
+ * @param {string} key The key of the arrays in the object.
+ * @return {Array} The array to use in the base object.
+ */
+
+/**
+ * The default keys by which array elements are deduplicated in {@link mergeArrays},
+ * by path of the array.
+ *
+ * @private
+ * @type {Object<string, Function>}
+ */
+const defaultArrayKeys = ( () => {
+	const byTitle = ( { ns, title } ) => title === undefined ? undefined : `${ ns }|${ title }`;
+	const byRevisionId = ( { revid } ) => revid;
+	return {
+		categories: byTitle,
+		links: byTitle,
+		templates: byTitle,
+		images: byTitle,
+		linkshere: byTitle,
+		transcludedin: byTitle,
+		fileusage: byTitle,
+		redirects: byTitle,
+		langlinks: ( { lang } ) => lang,
+		contributors: ( { userid } ) => userid,
+		revisions: byRevisionId,
+		deletedrevisions: byRevisionId,
+	};
+} )();
+
+/**
+ * Create a {@link mergeArrays} implementation
+ * that deduplicates and optionally sorts the merged arrays.
+ *
+ * The arrays are concatenated, except that an element of the incremental array is dropped
+ * if an element with the same key is already in the array.
+ * By default, category, link, template, image, redirect (etc.) elements
+ * are identified by their ns and title,
+ * langlinks by their lang, contributors by their userid,
+ * and revisions and deletedrevisions by their revid;
+ * arrays at any other path are concatenated without deduplication.
+ *
+ * @param {Object} [config]
+ * @param {Object<string, Function|null>} [config.keys] Functions returning the key
+ * of an element (or undefined if the element should not be deduplicated),
+ * by path of the array (relative to the page, e.g. categories).
+ * Added to the default keys; use null to disable the default for a path.
+ * @param {Object<string, compareFn>} [config.compare] Comparison functions by path;
+ * if the merged array has a comparison function, it is sorted with it.
+ * (Arrays that only appear in one response are not merged, and therefore not sorted.)
+ * @return {mergeArrays}
+ */
+function makeMergeArrays( { keys = {}, compare = {} } = {} ) {
+	keys = { ...defaultArrayKeys, ...keys };
+	return function ( baseValue, incrementalValue, path ) {
+		const getKey = keys[ path ] || null;
+		let merged;
+		if ( getKey === null ) {
+			merged = [ ...baseValue, ...incrementalValue ];
+		} else {
+			merged = [ ...baseValue ];
+			const seen = new Set( baseValue.map( getKey ) );
+			for ( const element of incrementalValue ) {
+				const key = getKey( element );
+				if ( key !== undefined && seen.has( key ) ) {
+					continue;
+				}
+				seen.add( key );
+				merged.push( element );
+			}
+		}
+		if ( Object.prototype.hasOwnProperty.call( compare, path ) ) {
+			merged.sort( compare[ path ] );
+		}
+		return merged;
+	};
+}
+
+/**
+ * The default mergeArrays implementation.
+ * Concatenates the arrays, deduplicating the elements of some well-known arrays;
+ * see {@link makeMergeArrays} for details.
+ *
+ * @type {mergeArrays}
+ */
+const mergeArrays = makeMergeArrays();
+
 /**
  * Merge the incremental object into the base one.
  *
@@ -471,9 +915,10 @@ function mergeValues( base, incremental, path ) {
  * @param {Object} incremental
  * @param {mergeValues} mergeValues Callback to merge different values
  * with no obvious merge strategy.
+ * @param {mergeArrays} mergeArrays Callback to merge arrays.
  * @param {string} [basePath] Path to the object, for error reporting.
  */
-function mergeObjects( base, incremental, mergeValues, basePath = '' ) {
+function mergeObjects( base, incremental, mergeValues, mergeArrays, basePath = '' ) {
 	for ( const [ key, incrementalValue ] of Object.entries( incremental ) ) {
 		if ( !Object.prototype.hasOwnProperty.call( base, key ) ) {
 			base[ key ] = incrementalValue;
@@ -484,12 +929,12 @@ function mergeObjects( base, incremental, mergeValues, basePath = '' ) {
 		const path = basePath ? `${ basePath }.${ key }` : key;
 
 		if ( isObject( baseValue ) && isObject( incrementalValue ) ) {
-			mergeObjects( baseValue, incrementalValue, mergeValues, path );
+			mergeObjects( baseValue, incrementalValue, mergeValues, mergeArrays, path );
 			continue;
 		}
 
 		if ( isArray( baseValue ) && isArray( incrementalValue ) ) {
-			base[ key ] = [ ...baseValue, ...incrementalValue ];
+			base[ key ] = mergeArrays( baseValue, incrementalValue, path, base, key );
 			continue;
 		}
 
@@ -502,76 +947,303 @@ function mergeObjects( base, incremental, mergeValues, basePath = '' ) {
 }
 
 /**
- * An error indicating that {@link queryFullPages} or {@link queryFullRevisions}
- * encountered more consecutive empty responses (with no pages or revisions) than expected,
- * as configured via {@link maxEmptyResponses}.
+ * Deep-freeze the given value.
+ *
+ * Frozen objects are assumed to be deep-frozen already,
+ * so that shared subtrees are not visited again.
+ *
+ * @private
+ * @param {*} value Frozen.
+ * @return {*} The same value.
  */
-class TooManyEmptyResponsesError extends Error {
-
-	/**
-	 * @param {number} limit The configured limit (the {@link maxEmptyResponses} parameter).
-	 */
-	constructor( limit ) {
-		super( `Encountered more than ${ limit } consecutive empty responses, aborting.` );
+function deepFreeze( value ) {
+	if ( typeof value === 'object' && value !== null && !Object.isFrozen( value ) ) {
+		Object.freeze( value );
+		for ( const element of Object.values( value ) ) {
+			deepFreeze( element );
+		}
+	}
+	return value;
+}
 
-		if ( Error.captureStackTrace ) {
-			Error.captureStackTrace( this, TooManyEmptyResponsesError );
+/**
+ * Merge the incremental object into the base one, without modifying either,
+ * and return the deep-frozen result.
+ * Values that do not change are shared between the base object and the result;
+ * if nothing changes at all, the base object itself is returned.
+ *
+ * @private
+ * @param {Object} base Not modified (but frozen, if it is not already).
+ * @param {Object} incremental Not modified (but deep-frozen).
+ * @param {mergeValues} mergeValues Callback to merge different values
+ * with no obvious merge strategy.
+ * @param {mergeArrays} mergeArrays Callback to merge arrays.
+ * @param {string} [basePath] Path to the object, for error reporting.
+ * @return {Object}
+ */
+function mergeObjectsImmutably( base, incremental, mergeValues, mergeArrays, basePath = '' ) {
+	let result = null; // shallow copy of base, created on the first change
+	for ( const [ key, incrementalValue ] of Object.entries( incremental ) ) {
+		if ( !Object.prototype.hasOwnProperty.call( base, key ) ) {
+			result = result || { ...base };
+			result[ key ] = deepFreeze( incrementalValue );
+			continue;
 		}
 
-		this.name = 'TooManyEmptyResponsesError';
+		const baseValue = base[ key ];
+		const path = basePath ? `${ basePath }.${ key }` : key;
+		let value;
 
-		/**
-		 * The configured limit (the {@link maxEmptyResponses} parameter).
-		 *
-		 * @member {number}
-		 */
-		this.limit = limit;
-	}
+		if ( isObject( baseValue ) && isObject( incrementalValue ) ) {
+			value = mergeObjectsImmutably(
+				baseValue,
+				incrementalValue,
+				mergeValues,
+				mergeArrays,
+				path,
+			);
+		} else if ( isArray( baseValue ) && isArray( incrementalValue ) ) {
+			value = mergeArrays( baseValue, incrementalValue, path, base, key );
+			if (
+				value.length === baseValue.length &&
+				value.every( ( element, index ) => element === baseValue[ index ] )
+			) {
+				value = baseValue;
+			}
+		} else if ( baseValue === incrementalValue ) {
+			continue;
+		} else {
+			value = mergeValues( baseValue, incrementalValue, path, base, key );
+		}
 
+		if ( value !== baseValue ) {
+			result = result || { ...base };
+			result[ key ] = deepFreeze( value );
+		}
+	}
+	return Object.freeze( result || base );
 }
 
 /**
- * Limit the number of consecutive empty API responses to follow during continuation.
- *
- * Depending on the request parameters and wiki content (and configuration),
- * it is possible for {@link queryFullPages} or {@link queryFullRevisions}
- * to receive a long, potentially unlimited stream of responses with no pages or revisions.
- * This means that they may keep sending API requests forever,
- * without any way for the caller to stop them.
- * This function offers a “emergency brake” mechanism to avoid this situation:
- * if too many *consecutive* empty responses are seen,
- * a {@link TooManyEmptyResponsesError} will be thrown.
- *
- * To use this function,
- * spread the value it returns into the request options,
- * for example:
- * ```
- * const session = new Session( '...', {
- *     formatversion: 2,
- *     // other default params
- * }, {
- *     // other default options
- *     ...maxEmptyResponses( 10 ),
- * } );
- * ```
- * Or:
- * ```
- * for await ( const page of queryFullPages( session, {
- *     // params
- * }, { ...maxEmptyResponses( 25 ) } ) ) {
- *     // handle each page
- * }
- * ```
+ * Get a function to merge incremental pages into base pages,
+ * according to the m3api-query/mergeValues, m3api-query/mergeArrays,
+ * m3api-query/collectMergeConflicts and m3api-query/immutable options.
  *
- * @param {number} limit The maximum number of empty responses to allow.
- * You can specify Infinity to disable the limit.
- * @return {Object} An object with (internal) request options.
+ * @private
+ * @param {Session} session
+ * @param {Options} options
+ * @return {Function} A function taking a base page (or null, for the first version of a page)
+ * and an incremental page, and returning the merged page.
+ * Unless the immutable option is enabled,
+ * this is the base page (modified), or the incremental page if the base page is null.
  */
-function maxEmptyResponses( limit = 10 ) {
-	if ( limit === Infinity ) {
-		return {
-			'm3api-query/handlePages': null,
-			'm3api-query/handleRevisions': null,
+function pageMerger( session, options ) {
+	const {
+		'm3api-query/mergeValues': mergeValues,
+		'm3api-query/mergeArrays': mergeArrays,
+		'm3api-query/collectMergeConflicts': collectMergeConflicts,
+		'm3api-query/immutable': immutable,
+	} = {
+		...DEFAULT_OPTIONS,
+		...session.defaultOptions,
+		...options,
+	};
+
+	return ( base, incremental ) => {
+		if ( base === null ) {
+			return immutable ? deepFreeze( incremental ) : incremental;
+		}
+
+		let conflicts = null;
+		let pageMergeValues = mergeValues;
+		if ( collectMergeConflicts ) {
+			conflicts = [
+				...( base[ mergeConflicts ] || [] ),
+				// e.g. from another prop chain with m3api-query/parallelProps
+				...( incremental[ mergeConflicts ] || [] ),
+			];
+			pageMergeValues = ( baseValue, incrementalValue, path, object, key ) => {
+				try {
+					return mergeValues( baseValue, incrementalValue, path, object, key );
+				} catch ( _ ) {
+					conflicts.push( { path, base: baseValue, incremental: incrementalValue } );
+					return baseValue;
+				}
+			};
+		}
+
+		if ( immutable ) {
+			const page = mergeObjectsImmutably( base, incremental, pageMergeValues, mergeArrays );
+			if ( conflicts !== null && conflicts.length ) {
+				return Object.freeze( { ...page, [ mergeConflicts ]: deepFreeze( conflicts ) } );
+			}
+			return page;
+		}
+
+		mergeObjects( base, incremental, pageMergeValues, mergeArrays );
+		if ( conflicts !== null && conflicts.length ) {
+			base[ mergeConflicts ] = conflicts;
+		}
+		return base;
+	};
+}
+
+/**
+ * Get a function to finish a fully merged page before it is returned,
+ * according to the m3api-query/attachPageOfRevision option.
+ *
+ * @private
+ * @param {Session} session
+ * @param {Options} options
+ * @return {Function} A function taking a page (or null) and returning the finished page.
+ */
+function pageFinisher( session, options ) {
+	const {
+		'm3api-query/attachPageOfRevision': attachPageOfRevision,
+		'm3api-query/immutable': immutable,
+	} = {
+		...DEFAULT_OPTIONS,
+		...session.defaultOptions,
+		...options,
+	};
+	if ( !attachPageOfRevision ) {
+		return ( page ) => page;
+	}
+
+	return ( page ) => {
+		if ( page === null || !isArray( page.revisions ) ) {
+			return page;
+		}
+		const { revisions, ...remainingPage } = page;
+		const finishedPage = {
+			...page,
+			revisions: revisions.map( ( revision ) => revisionWithPage( revision, remainingPage ) ),
+		};
+		if ( immutable ) {
+			Object.freeze( remainingPage );
+			deepFreeze( finishedPage );
+		}
+		return finishedPage;
+	};
+}
+
+/**
+ * Get the key by which a page is identified within a batch.
+ *
+ * @private
+ * @param {Object} page
+ * @return {number|string}
+ */
+function pageKey( page ) {
+	return page.pageid || page.title; // fall back to title for missing pages
+}
+
+/**
+ * Get the pages of the response as an array,
+ * regardless of the formatversion.
+ *
+ * @private
+ * @param {Object} response
+ * @return {Object[]}
+ */
+function getResponsePages( response ) {
+	const pages = ( response.query || {} ).pages || [];
+	if ( !Array.isArray( pages ) ) {
+		return Object.values( pages );
+	}
+	return pages;
+}
+
+/**
+ * Add the pages of the response to the batch,
+ * merging them into existing pages with the same key.
+ *
+ * @private
+ * @param {Map} batch The pages so far, by {@link pageKey}. Modified.
+ * @param {Object} response
+ * @param {Function} mergePages From {@link pageMerger}.
+ */
+function addResponsePagesToBatch( batch, response, mergePages ) {
+	for ( const page of getResponsePages( response ) ) {
+		const key = pageKey( page );
+		batch.set( key, mergePages( batch.has( key ) ? batch.get( key ) : null, page ) );
+	}
+}
+
+/**
+ * An error indicating that {@link queryFullPages}, {@link queryFullRevisions}
+ * or {@link queryFullList} encountered more consecutive empty responses
+ * (with no pages, revisions or list items) than expected,
+ * as configured via {@link maxEmptyResponses}.
+ */
+class TooManyEmptyResponsesError extends Error {
+
+	/**
+	 * @param {number} limit The configured limit (the {@link maxEmptyResponses} parameter).
+	 */
+	constructor( limit ) {
+		super( `Encountered more than ${ limit } consecutive empty responses, aborting.` );
+
+		if ( Error.captureStackTrace ) {
+			Error.captureStackTrace( this, TooManyEmptyResponsesError );
+		}
+
+		this.name = 'TooManyEmptyResponsesError';
+
+		/**
+		 * The configured limit (the {@link maxEmptyResponses} parameter).
+		 *
+		 * @member {number}
+		 */
+		this.limit = limit;
+	}
+
+}
+
+/**
+ * Limit the number of consecutive empty API responses to follow during continuation.
+ *
+ * Depending on the request parameters and wiki content (and configuration),
+ * it is possible for {@link queryFullPages}, {@link queryFullRevisions} or {@link queryFullList}
+ * to receive a long, potentially unlimited stream of responses
+ * with no pages, revisions or list items.
+ * This means that they may keep sending API requests forever,
+ * without any way for the caller to stop them.
+ * This function offers a “emergency brake” mechanism to avoid this situation:
+ * if too many *consecutive* empty responses are seen,
+ * a {@link TooManyEmptyResponsesError} will be thrown.
+ *
+ * To use this function,
+ * spread the value it returns into the request options,
+ * for example:
+ * ```
+ * const session = new Session( '...', {
+ *     formatversion: 2,
+ *     // other default params
+ * }, {
+ *     // other default options
+ *     ...maxEmptyResponses( 10 ),
+ * } );
+ * ```
+ * Or:
+ * ```
+ * for await ( const page of queryFullPages( session, {
+ *     // params
+ * }, { ...maxEmptyResponses( 25 ) } ) ) {
+ *     // handle each page
+ * }
+ * ```
+ *
+ * @param {number} limit The maximum number of empty responses to allow.
+ * You can specify Infinity to disable the limit.
+ * @return {Object} An object with (internal) request options.
+ */
+function maxEmptyResponses( limit = 10 ) {
+	if ( limit === Infinity ) {
+		return {
+			'm3api-query/handlePages': null,
+			'm3api-query/handleRevisions': null,
+			'm3api-query/handleListItems': null,
 		};
 	}
 	function handleListFn( list, session, params, options, state ) {
@@ -588,9 +1260,156 @@ function maxEmptyResponses( limit = 10 ) {
 	return {
 		'm3api-query/handlePages': handleListFn,
 		'm3api-query/handleRevisions': handleListFn,
+		'm3api-query/handleListItems': handleListFn,
+	};
+}
+
+/**
+ * An error indicating that one of the functions of this package
+ * needed more API requests than allowed,
+ * as configured via {@link maxRequests}.
+ */
+class TooManyRequestsError extends Error {
+
+	/**
+	 * @param {number} limit The configured limit (the {@link maxRequests} parameter).
+	 * @param {Object} params The parameters of the request that would have exceeded the limit.
+	 */
+	constructor( limit, params ) {
+		super( `Needed more than ${ limit } requests, aborting.` );
+
+		if ( Error.captureStackTrace ) {
+			Error.captureStackTrace( this, TooManyRequestsError );
+		}
+
+		this.name = 'TooManyRequestsError';
+
+		/**
+		 * The configured limit (the {@link maxRequests} parameter).
+		 *
+		 * @member {number}
+		 */
+		this.limit = limit;
+
+		/**
+		 * The parameters of the request that would have exceeded the limit,
+		 * including any continuation parameters.
+		 * This can be used to tell which query needed too many requests,
+		 * and how far it got.
+		 *
+		 * @member {Object}
+		 */
+		this.params = params;
+	}
+
+}
+
+/**
+ * Limit the number of API requests made by a single function call.
+ *
+ * Even with {@link maxEmptyResponses},
+ * a query that only returns a page every few responses
+ * may send a very large number of API requests.
+ * This function offers another “emergency brake” mechanism:
+ * if a single call of {@link queryFullPages}, {@link queryFullRevisions},
+ * {@link queryFullPageByTitle} or another function of this package
+ * needs more than this many API requests (including continuation),
+ * a {@link TooManyRequestsError} will be thrown instead of sending the next request.
+ *
+ * To use this function,
+ * spread the value it returns into the request options,
+ * in the same way as for {@link maxEmptyResponses}, for example:
+ * ```
+ * for await ( const page of queryFullPages( session, {
+ *     // params
+ * }, { ...maxEmptyResponses( 25 ), ...maxRequests( 1000 ) } ) ) {
+ *     // handle each page
+ * }
+ * ```
+ *
+ * @param {number} limit The maximum number of requests to allow.
+ * You can specify Infinity to disable the limit.
+ * @return {Object} An object with (internal) request options.
+ */
+function maxRequests( limit ) {
+	if ( limit === Infinity ) {
+		return {
+			'm3api-query/handleRequest': null,
+		};
+	}
+	function handleRequestFn( session, params, options, state ) {
+		state.requests = ( state.requests || 0 ) + 1;
+		if ( state.requests > limit ) {
+			throw new TooManyRequestsError( limit, params );
+		}
+	}
+	return {
+		'm3api-query/handleRequest': handleRequestFn,
 	};
 }
 
+/**
+ * An error indicating that API continuation did not advance:
+ * the API returned continuation parameters that had already been used
+ * by one of the last few requests in the same chain,
+ * so following them would loop forever.
+ * This usually indicates a bug in MediaWiki or an extension.
+ */
+class ContinuationLoopError extends Error {
+
+	/**
+	 * @param {Object} continueParams The repeated continuation parameters.
+	 */
+	constructor( continueParams ) {
+		super( `API returned repeated continuation parameters ${ JSON.stringify( continueParams ) }, aborting.` );
+
+		if ( Error.captureStackTrace ) {
+			Error.captureStackTrace( this, ContinuationLoopError );
+		}
+
+		this.name = 'ContinuationLoopError';
+
+		/**
+		 * The repeated continuation parameters.
+		 *
+		 * @member {Object}
+		 */
+		this.continueParams = continueParams;
+	}
+
+}
+
+/**
+ * An error indicating that a function of this package was aborted,
+ * either via the m3api-query/signal option or because the m3api-query/timeout expired.
+ */
+class QueryAbortedError extends Error {
+
+	/**
+	 * @param {*} reason The abort reason of the signal.
+	 */
+	constructor( reason ) {
+		super( 'The query was aborted.' );
+
+		if ( Error.captureStackTrace ) {
+			Error.captureStackTrace( this, QueryAbortedError );
+		}
+
+		this.name = 'QueryAbortedError';
+
+		/**
+		 * The abort reason of the signal.
+		 * If the m3api-query/timeout expired, this is a DOMException named TimeoutError;
+		 * otherwise, it is whatever was passed to {@link AbortController#abort}
+		 * (by default, a DOMException named AbortError).
+		 *
+		 * @member {*}
+		 */
+		this.reason = reason;
+	}
+
+}
+
 /**
  * Compare two objects for sorting.
  *
@@ -603,7 +1422,7 @@ function maxEmptyResponses( limit = 10 ) {
  */
 
 /**
- * Handle a list (of pages or revisions).
+ * Handle a list (of pages, revisions or list items).
  *
  * This type is used by {@link maxEmptyResponses};
  * you can ignore it.
@@ -616,11 +1435,65 @@ function maxEmptyResponses( limit = 10 ) {
  * @param {Object} options The options the function was called with.
  * @param {Object} state An initially object where the handle function may store
  * any state it wants to preserve between calls,
- * within the same {@link queryFullPages} / {@link queryFullRevisions} call.
+ * within the same {@link queryFullPages} / {@link queryFullRevisions} / {@link queryFullList} call.
  * @return {Array|null|undefined} The list that should actually be yielded,
  * or null/undefined to reuse the input list (which may have been modified in-place).
  */
 
+/**
+ * Handle an API request before it is made.
+ *
+ * This type is used by {@link maxRequests};
+ * you can ignore it.
+ *
+ * @callback handleRequestFn
+ * @protected
+ * @param {Session} session The session the function was called with.
+ * @param {Object} params The params of the request, including any continuation params.
+ * @param {Object} options The options of the request.
+ * @param {Object} state An initially empty object where the handle function may store
+ * any state it wants to preserve between calls,
+ * within the same call of a function of this package.
+ * The handle function may throw an error to prevent the request.
+ */
+
+/**
+ * Record a checkpoint from which iteration may later be resumed.
+ *
+ * The checkpoint is the set of continuation parameters
+ * for the first request after the already-yielded pages, revisions or list items.
+ * It is a plain object with string values, which can be serialized as JSON,
+ * and may be passed back to a later call (with the same parameters)
+ * using the m3api-query/resumeFrom option.
+ *
+ * @callback onCheckpoint
+ * @param {Object} checkpoint The continuation parameters.
+ */
+
+/**
+ * Report the progress of a long-running query.
+ *
+ * @callback onProgress
+ * @param {Object} progress Statistics about the query so far.
+ * @param {number} progress.requests The number of requests made (and responses received).
+ * @param {number} progress.batches The number of batches completed.
+ * @param {number} [progress.pages] The number of pages yielded
+ * (only for {@link queryFullPages}).
+ * @param {number} [progress.revisions] The number of revisions yielded
+ * (only for {@link queryFullRevisions}).
+ * @param {number} [progress.items] The number of list items yielded
+ * (only for {@link queryFullList}).
+ * @param {number} progress.consecutiveEmptyResponses The number of responses in a row,
+ * up to and including the latest one, without any pages, revisions or list items.
+ * @param {Object|null} progress.continue The continuation parameters of the latest response,
+ * or null if it was the last response.
+ *
+ * With m3api-query/parallelProps, the callback is called after each response of each chain
+ * (counting requests) and again once each merged batch is complete (counting batches);
+ * consecutiveEmptyResponses then counts merged batches without any pages,
+ * and continue is the continuation of the latest response of any chain.
+ */
+
 /**
  * Request options understood by this package.
  * All other options will be passed through to m3api.
@@ -631,6 +1504,63 @@ function maxEmptyResponses( limit = 10 ) {
  * Callback to merge conflicting values.
  * Called when merging versions of the page that have conflicting values for a key.
  * Defaults to {@link mergeValues}.
+ * @property {mergeArrays} ['m3api-query/mergeArrays']
+ * Callback to merge arrays.
+ * Called when merging versions of the page that both have an array for a key.
+ * Defaults to {@link mergeArrays},
+ * which deduplicates the elements of well-known arrays such as categories or revisions;
+ * use {@link makeMergeArrays} to customize the deduplication or sort merged arrays,
+ * or <code>( base, incremental ) => [ ...base, ...incremental ]</code>
+ * to concatenate arrays without any deduplication.
+ * @property {boolean} ['m3api-query/collectMergeConflicts']
+ * Whether to collect merge conflicts instead of throwing them.
+ * If true, whenever m3api-query/mergeValues throws an error,
+ * the value from the base object is kept, and the conflict is recorded
+ * in an array attached to the page using the {@link mergeConflicts} symbol,
+ * so that the caller can decide what to do (e.g. retry the query later).
+ * Defaults to false.
+ * @property {boolean} ['m3api-query/normalizeFormatversion']
+ * Whether to normalize formatversion=1 responses into formatversion=2 shape.
+ * If true, and a request is made without formatversion=2
+ * (in the params or the default params of the session),
+ * each response is converted before it is used by any function of this package:
+ * boolean values are true instead of empty strings,
+ * query.pages is an array instead of an object keyed by page ID,
+ * and * keys (e.g. for revision or slot content) are replaced by content
+ * (or by title for langlinks and iwlinks, and by url for extlinks).
+ * Other differences between the formats are not normalized.
+ * Defaults to false.
+ * @property {boolean} ['m3api-query/immutable']
+ * Whether to merge pages without modifying any objects.
+ * If true, merging never changes the contents of objects from API responses,
+ * and produces new page objects instead,
+ * which share all unchanged values (objects, arrays) with the earlier versions of the page;
+ * all page objects (including the shared values) are deep-frozen,
+ * so that they can be safely cached and compared by reference.
+ * Since the shared values are taken from the API responses without copying them,
+ * objects and arrays inside the pages in the responses (and sometimes the pages themselves)
+ * are frozen in place,
+ * so code that holds on to the responses cannot modify them afterwards either.
+ * (Note that the base object passed to m3api-query/mergeValues
+ * and m3api-query/mergeArrays is then also frozen.)
+ * Defaults to false.
+ * @property {boolean} ['m3api-query/attachPageOfRevision']
+ * Whether to attach the page to the revisions nested in it.
+ * If true, {@link queryFullPageByTitle}, {@link queryFullPageByPageId},
+ * {@link queryFullPagesByTitles}, {@link queryFullPagesByPageIds}
+ * and {@link queryFullPages} attach the fully merged page (without its revisions)
+ * to each revision in its revisions array, using {@link pageOfRevision} as the key,
+ * so that these revisions have the same shape as the ones returned by
+ * {@link queryFullRevisions} and similar functions.
+ * (The revision objects are copied for this, rather than modified.)
+ * Defaults to false.
+ * @property {number} ['m3api-query/chunkSize']
+ * The maximum number of titles or IDs to send in a single request,
+ * used by {@link queryFullPagesByTitles}, {@link queryFullPagesByPageIds}
+ * and {@link queryFullRevisionsByRevisionIds}.
+ * Defaults to 50, the limit for most users;
+ * you can set this to 500 if the user of the session has the apihighlimits right
+ * (usually bots and administrators).
  * @property {compareFn|null} ['m3api-query/comparePages']
  * Callback to compare two pages.
  * If not null, {@link queryFullPages} sorts the pages within each batch
@@ -650,6 +1580,109 @@ function maxEmptyResponses( limit = 10 ) {
  * <code>( { revid: r1 }, { revid: r2 } ) => r1 - r2</code>
  * to sort revisions according to their revision ID (yield lower revision IDs first).
  * Defaults to null (no sorting).
+ * @property {compareFn|null} ['m3api-query/compareListItems']
+ * Callback to compare two list items.
+ * If not null, {@link queryFullList} sorts the items of each response
+ * according to this comparison function before yielding them.
+ * Defaults to null (no sorting).
+ * @property {number} ['m3api-query/parallelProps']
+ * The maximum number of request chains to run concurrently.
+ * If greater than 1, {@link queryFullPageByTitle}, {@link queryFullPageByPageId}
+ * and {@link queryFullPages} split the prop parameter (if it is a Set or Array)
+ * into separate request chains, one for each prop,
+ * which follow continuation independently and concurrently;
+ * the results are merged into the same page objects using m3api-query/mergeValues.
+ * Since each chain is sent the parameters for all the props,
+ * warnings about unrecognized parameters are dropped in this mode.
+ * When used with a generator, the generator must produce the same pages for each chain.
+ * Cannot be combined with m3api-query/onCheckpoint, m3api-query/resumeFrom
+ * or m3api-query/targetRequestsPerBatch (a RangeError is thrown).
+ * Defaults to 1 (no parallelism).
+ * @property {number|null} ['m3api-query/targetRequestsPerBatch']
+ * The number of requests per batch that {@link queryFullPages} should aim for.
+ * If not null, the function adjusts the generator limit (e.g. gaplimit) between batches:
+ * if a batch needed more requests than this (due to continuation of the props),
+ * the limit is lowered for the next batch; if it needed fewer, the limit is raised.
+ * The limit is kept between 1 and the initial limit,
+ * and set back to the initial value (e.g. max) once it reaches it again;
+ * when lowering an initial limit of max, it is assumed to stand for 500.
+ * Cannot be combined with m3api-query/parallelProps (a RangeError is thrown).
+ * Defaults to null (no adjustment).
+ * @property {string|null} ['m3api-query/generatorLimitParam']
+ * The name of the limit parameter of the generator, e.g. gaplimit.
+ * Used by m3api-query/targetRequestsPerBatch,
+ * m3api-query/maxPages and m3api-query/maxRevisions.
+ * Defaults to null, meaning that it is detected automatically from the params
+ * (the only parameter starting with g and ending with limit).
+ * @property {number} ['m3api-query/prefetchBatches']
+ * The number of batches that {@link queryFullPages} may request ahead of time.
+ * If greater than 0, the requests for the next batch start
+ * as soon as the current batch is complete,
+ * while the caller is still processing its pages,
+ * and up to this many complete batches are buffered.
+ * If the caller stops iterating early, no further batches are requested,
+ * and a batch that is already being requested is aborted
+ * (its response, if any, is ignored).
+ * Defaults to 0 (no prefetching).
+ * @property {number|null} ['m3api-query/maxPages']
+ * The maximum number of pages that {@link queryFullPages} should yield.
+ * If not null, iteration stops after this many pages,
+ * and the generator limit (e.g. gaplimit) is lowered
+ * if fewer pages than that remain to be yielded,
+ * so that the API does not return more pages than needed.
+ * (The limit is only lowered if the params already specify it;
+ * see also m3api-query/generatorLimitParam.
+ * A limit of max is left alone until fewer than 50 pages remain,
+ * since its real value depends on the module and the user’s rights
+ * and is only known to be at least 50;
+ * with the apihighlimits right, the last request may therefore still ask for more pages
+ * than needed, which are discarded.)
+ * Defaults to null (no limit).
+ * @property {number|null} ['m3api-query/maxRevisions']
+ * The maximum number of revisions that {@link queryFullRevisions} should yield.
+ * If not null, iteration stops after this many revisions,
+ * and the rvlimit (or drvlimit, for {@link queryFullDeletedRevisions})
+ * and generator limit parameters are lowered
+ * in the same way as for m3api-query/maxPages.
+ * Defaults to null (no limit).
+ * @property {onProgress|null} ['m3api-query/onProgress']
+ * Callback to report progress.
+ * If not null, {@link queryFullPages}, {@link queryFullRevisions} and {@link queryFullList}
+ * call it after receiving each response, with statistics about the query so far.
+ * (The pages, revisions or list items of that response are yielded afterwards,
+ * and are not yet included in the statistics.)
+ * Defaults to null.
+ * @property {AbortSignal|null} ['m3api-query/signal']
+ * A signal to abort the query.
+ * If the signal is aborted, any function of this package stops following continuation
+ * and rejects (or throws, for async generators) with a {@link QueryAbortedError}.
+ * The current request, if any, is abandoned: m3api cannot cancel it,
+ * but its response will be ignored.
+ * (The session’s request method receives a signal for each request
+ * as the m3api-query/signal option, which is aborted when the request is abandoned,
+ * so a custom session could use it to cancel the request.)
+ * Defaults to null.
+ * @property {number|null} ['m3api-query/timeout']
+ * The maximum time, in milliseconds, that a single function call may spend making requests.
+ * The time is counted from the first request of the call,
+ * including any time the caller spends between iterations of an async generator;
+ * once it has passed, the call is aborted as with m3api-query/signal.
+ * Defaults to null (no timeout).
+ * @property {onCheckpoint|null} ['m3api-query/onCheckpoint']
+ * Callback to record checkpoints.
+ * If not null, {@link queryFullPages} calls it after yielding each complete batch of pages,
+ * {@link queryFullRevisions} after yielding the revisions of each response,
+ * and {@link queryFullList} after yielding the list items of each response,
+ * as long as there is more continuation to follow.
+ * Defaults to null.
+ * @property {Object|null} ['m3api-query/resumeFrom']
+ * A checkpoint from which to resume.
+ * If not null, {@link queryFullPages}, {@link queryFullRevisions} and {@link queryFullList}
+ * start from this checkpoint (as passed to the onCheckpoint callback of an earlier call
+ * with the same parameters) instead of from the beginning,
+ * so pages, revisions or list items that were already yielded before the checkpoint
+ * are not yielded again.
+ * Defaults to null.
  * @property {handleListFn|null} ['m3api-query/handlePages']
  * Internal option to handle a list of pages before yielding it from {@link queryFullPages}.
  * Used by {@link maxEmptyResponses};
@@ -658,16 +1691,466 @@ function maxEmptyResponses( limit = 10 ) {
  * Internal option to handle a list of pages before yielding it from {@link queryFullRevisions}.
  * Used by {@link maxEmptyResponses};
  * using this option directly is strongly discouraged.
+ * @property {handleListFn|null} ['m3api-query/handleListItems']
+ * Internal option to handle a list of items before yielding it from {@link queryFullList}.
+ * Used by {@link maxEmptyResponses};
+ * using this option directly is strongly discouraged.
+ * @property {handleRequestFn|null} ['m3api-query/handleRequest']
+ * Internal option to handle each API request before it is made.
+ * Used by {@link maxRequests};
+ * using this option directly is strongly discouraged.
  */
 
 Object.assign( DEFAULT_OPTIONS, {
 	'm3api-query/mergeValues': mergeValues,
+	'm3api-query/mergeArrays': mergeArrays,
+	'm3api-query/collectMergeConflicts': false,
+	'm3api-query/normalizeFormatversion': false,
+	'm3api-query/immutable': false,
+	'm3api-query/attachPageOfRevision': false,
+	'm3api-query/chunkSize': 50,
+	'm3api-query/parallelProps': 1,
+	'm3api-query/targetRequestsPerBatch': null,
+	'm3api-query/generatorLimitParam': null,
+	'm3api-query/prefetchBatches': 0,
+	'm3api-query/maxPages': null,
+	'm3api-query/maxRevisions': null,
 	'm3api-query/comparePages': null,
 	'm3api-query/compareRevisions': null,
+	'm3api-query/compareListItems': null,
 	'm3api-query/handlePages': null,
 	'm3api-query/handleRevisions': null,
+	'm3api-query/handleListItems': null,
+	'm3api-query/handleRequest': null,
+	'm3api-query/signal': null,
+	'm3api-query/timeout': null,
+	'm3api-query/onCheckpoint': null,
+	'm3api-query/resumeFrom': null,
+	'm3api-query/onProgress': null,
 } );
 
+/**
+ * Reject with a {@link QueryAbortedError} if any of the signals is aborted
+ * before the promise settles.
+ *
+ * The listeners are only added for the duration of the promise,
+ * so that long-lived signals (e.g. in the session default options)
+ * do not accumulate listeners across calls.
+ *
+ * @private
+ * @param {Promise} promise
+ * @param {AbortSignal[]} signals
+ * @param {AbortController} controller Aborted (with the same reason) if any signal is aborted.
+ * @return {Promise}
+ */
+async function abortable( promise, signals, controller ) {
+	const listeners = [];
+	const aborted = new Promise( ( resolve, reject ) => {
+		for ( const signal of signals ) {
+			const onAbort = () => {
+				controller.abort( signal.reason );
+				reject( new QueryAbortedError( signal.reason ) );
+			};
+			signal.addEventListener( 'abort', onAbort, { once: true } );
+			listeners.push( [ signal, onAbort ] );
+		}
+	} );
+	try {
+		return await Promise.race( [ promise, aborted ] );
+	} finally {
+		for ( const [ signal, onAbort ] of listeners ) {
+			signal.removeEventListener( 'abort', onAbort );
+		}
+	}
+}
+
+/**
+ * Keys that formatversion=1 uses for boolean values,
+ * which are true if the key is present (with an empty string value)
+ * and false if it is absent.
+ *
+ * @private
+ * @type {Set<string>}
+ */
+const formatversion1Booleans = new Set( [
+	'actionhidden',
+	'anon',
+	'badfile',
+	'batchcomplete',
+	'bot',
+	'commenthidden',
+	'filehidden',
+	'filemissing',
+	'hidden',
+	'invalid',
+	'known',
+	'minor',
+	'missing',
+	'new',
+	'readable',
+	'redirect',
+	'sha1hidden',
+	'special',
+	'suppressed',
+	'texthidden',
+	'textmissing',
+	'userhidden',
+	'watched',
+] );
+
+/**
+ * The keys that formatversion=2 uses instead of formatversion=1’s * key,
+ * by the key of the surrounding object or array. Defaults to content.
+ *
+ * @private
+ * @type {Object<string, string>}
+ */
+const formatversion1ContentKeys = {
+	langlinks: 'title',
+	iwlinks: 'title',
+	extlinks: 'url',
+};
+
+/**
+ * Whether a request with the given params will use formatversion=1.
+ *
+ * @private
+ * @param {Session} session
+ * @param {Object} params
+ * @return {boolean}
+ */
+function formatversion1( session, params ) {
+	const { formatversion = 1 } = { ...session.defaultParams, ...params };
+	return String( formatversion ) === '1';
+}
+
+/**
+ * Convert (part of) a formatversion=1 response into formatversion=2 shape:
+ * booleans instead of empty strings, pages as an array instead of an object,
+ * and content (or title / url) instead of * keys, including in slots.
+ *
+ * @private
+ * @param {*} value The response (or part of it). Not modified.
+ * @param {string|null} [key] The key of the value in the surrounding object
+ * (for array elements, the key of the array).
+ * @return {*} The normalized value.
+ */
+function normalizeFormatversion1( value, key = null ) {
+	if ( isArray( value ) ) {
+		return value.map( ( element ) => normalizeFormatversion1( element, key ) );
+	}
+	if ( !isObject( value ) || key === 'pageprops' ) {
+		// page props are arbitrary strings even in formatversion=2
+		return value;
+	}
+
+	const normalized = {};
+	for ( let [ valueKey, valueValue ] of Object.entries( value ) ) {
+		if ( valueKey === '*' ) {
+			valueKey = formatversion1ContentKeys[ key ] || 'content';
+		} else if ( valueValue === '' && formatversion1Booleans.has( valueKey ) ) {
+			valueValue = true;
+		} else if ( valueKey === 'pages' && key === 'query' && isObject( valueValue ) ) {
+			valueValue = Object.values( valueValue );
+		}
+		normalized[ valueKey ] = normalizeFormatversion1( valueValue, valueKey );
+	}
+	return normalized;
+}
+
+/**
+ * Make an API request.
+ *
+ * Like {@link Session#request}, but calling the m3api-query/handleRequest option first,
+ * and supporting the m3api-query/signal, m3api-query/timeout
+ * and m3api-query/normalizeFormatversion options.
+ * All requests of this package go through this function.
+ *
+ * @private
+ * @param {Session} session
+ * @param {Object} params
+ * @param {Options} options
+ * @param {Object} state The state of the calling function,
+ * for handleRequest and the timeout (which is started on the first request).
+ * If it has a prefetchSignal, requests are also aborted when that signal is aborted.
+ * @return {Object}
+ */
+async function request( session, params, options, state ) {
+	const {
+		'm3api-query/handleRequest': handleRequest,
+		'm3api-query/signal': signal,
+		'm3api-query/timeout': timeout,
+		'm3api-query/normalizeFormatversion': normalizeFormatversion,
+	} = {
+		...DEFAULT_OPTIONS,
+		...session.defaultOptions,
+		...options,
+	};
+	if ( state.signals === undefined ) {
+		state.signals = [
+			signal,
+			timeout !== null ? AbortSignal.timeout( timeout ) : null,
+			state.prefetchSignal || null,
+		].filter( ( callSignal ) => callSignal !== null );
+	}
+	const callSignals = state.signals;
+
+	const abortedSignal = callSignals.find( ( callSignal ) => callSignal.aborted );
+	if ( abortedSignal !== undefined ) {
+		throw new QueryAbortedError( abortedSignal.reason );
+	}
+	if ( handleRequest !== null ) {
+		handleRequest( session, params, options, state );
+	}
+	let response;
+	if ( callSignals.length > 0 ) {
+		// a signal for this request only, aborted if the request is abandoned,
+		// so that sessions which can cancel requests may do so
+		const requestController = new AbortController();
+		response = await abortable( session.request( params, {
+			...options,
+			'm3api-query/signal': requestController.signal,
+		} ), callSignals, requestController );
+	} else {
+		response = await session.request( params, options );
+	}
+
+	if ( normalizeFormatversion && formatversion1( session, params ) ) {
+		response = normalizeFormatversion1( response );
+	}
+	return response;
+}
+
+/**
+ * The number of recent continuation parameters that {@link requestAndContinue}
+ * checks new continuation parameters against.
+ *
+ * @private
+ * @type {number}
+ */
+const maxRecentContinueParams = 10;
+
+/**
+ * Make a series of API requests, following API continuation.
+ *
+ * Like {@link Session#requestAndContinue},
+ * but using {@link request} and optionally starting from the given continuation parameters.
+ * Throws a {@link ContinuationLoopError} if the API returns continuation parameters
+ * that were already used by one of the last few requests in the same chain.
+ * (Only a bounded number of recent continuation parameters is remembered,
+ * so that long chains of requests do not use more and more memory.)
+ *
+ * @private
+ * @param {Session} session
+ * @param {Object} params
+ * @param {Options} options
+ * @param {Object} state The state of the calling function, for handleRequest.
+ * @param {Object} [continueParams] The continuation parameters for the first request.
+ * @yield {Object}
+ */
+async function * requestAndContinue(
+	session,
+	params,
+	options,
+	state,
+	continueParams = { continue: undefined },
+) {
+	const recentContinueParams = [ paramsKey( continueParams ) ];
+	do {
+		const response = await request( session, {
+			...params,
+			...continueParams,
+		}, options, state );
+		continueParams = response.continue && { ...response.continue };
+		if ( continueParams !== undefined ) {
+			const key = paramsKey( continueParams );
+			if ( recentContinueParams.includes( key ) ) {
+				throw new ContinuationLoopError( continueParams );
+			}
+			recentContinueParams.push( key );
+			if ( recentContinueParams.length > maxRecentContinueParams ) {
+				recentContinueParams.shift();
+			}
+		}
+		yield response;
+	} while ( continueParams !== undefined );
+}
+
+/**
+ * Make a series of API requests, following API continuation,
+ * accumulating responses and returning the result of the first batch.
+ *
+ * Like {@link Session#requestAndContinueReducingBatch},
+ * but using {@link request} and only for the first batch;
+ * without a generator, there should only be one batch anyway.
+ *
+ * @private
+ * @param {Session} session
+ * @param {Object} params
+ * @param {Options} options
+ * The dropTruncatedResultWarning option defaults to true here.
+ * @param {Function} reducer
+ * @param {Function} initial
+ * @param {Object} state The state of the calling function, for handleRequest.
+ * @return {*} The last reducer return value for the first batch.
+ */
+async function requestFirstBatch( session, params, options, reducer, initial, state ) {
+	options = {
+		dropTruncatedResultWarning: true,
+		...options,
+	};
+
+	let accumulator = initial();
+	for await ( const response of requestAndContinue( session, params, options, state ) ) {
+		accumulator = reducer( accumulator, response );
+		if ( responseBoolean( response.batchcomplete ) ) {
+			return accumulator;
+		}
+	}
+
+	throw new Error( 'API finished continuation without completing a batch' );
+}
+
+/**
+ * Split the params into several params, one for each prop.
+ *
+ * @private
+ * @param {Object} params Not modified.
+ * @return {Object[]|null} The params for each prop,
+ * or null if there are not several props to split.
+ * (Only Set or Array props are split, not string props.)
+ */
+function splitProps( params ) {
+	const { prop } = params;
+	if ( !( prop instanceof Set || isArray( prop ) ) ) {
+		return null;
+	}
+	const props = [ ...prop ];
+	if ( props.length < 2 ) {
+		return null;
+	}
+	return props.map( ( prop ) => ( { ...params, prop: set( prop ) } ) );
+}
+
+/**
+ * Whether the given warning is not about unrecognized parameters.
+ *
+ * @private
+ * @param {Object} warning
+ * @return {boolean}
+ */
+function notUnrecognizedParametersWarning( warning ) {
+	if ( warning.code === 'unrecognizedparams' ) {
+		return false;
+	}
+	// errorformat=bc, formatversion=1 or 2
+	const text = warning[ '*' ] || warning.warnings;
+	return typeof text !== 'string' || !/^Unrecognized parameters?: [^\n]*$/.test( text );
+}
+
+/**
+ * Get the options for one of several request chains split by {@link splitProps}.
+ *
+ * Each chain still sends the parameters for all the props,
+ * so the API will warn about the parameters of the other props,
+ * which we drop here.
+ *
+ * @private
+ * @param {Options} options Not modified.
+ * @param {Function} warn The warn option.
+ * @return {Options}
+ */
+function parallelOptions( options, warn ) {
+	return {
+		...options,
+		'm3api-query/parallelProps': 1,
+		warn( error ) {
+			if ( error instanceof ApiWarnings ) {
+				const warnings = error.warnings.filter( notUnrecognizedParametersWarning );
+				if ( warnings.length > 0 ) {
+					return warn( warnings.length === error.warnings.length ?
+						error :
+						new ApiWarnings( warnings ) );
+				}
+			} else {
+				return warn( error );
+			}
+		},
+	};
+}
+
+/**
+ * Like Promise.all( items.map( fn ) ),
+ * but with at most the given number of calls to fn pending at the same time.
+ *
+ * @private
+ * @param {Array} items
+ * @param {number} concurrency
+ * @param {Function} fn Called with each item, returns a promise.
+ * @return {Promise<Array>}
+ */
+async function mapConcurrently( items, concurrency, fn ) {
+	const results = new Array( items.length );
+	let next = 0;
+	async function work() {
+		while ( next < items.length ) {
+			const index = next++;
+			results[ index ] = await fn( items[ index ] );
+		}
+	}
+	const workers = [];
+	for ( let i = 0; i < Math.min( concurrency, items.length ); i++ ) {
+		workers.push( work() );
+	}
+	await Promise.all( workers );
+	return results;
+}
+
+/**
+ * Query for the full data of a single page and return it.
+ *
+ * @private
+ * @param {Session} session
+ * @param {Object} params Already including the title or page ID.
+ * @param {Options} options
+ * @param {Function} getResponsePage Get the page out of a response.
+ * @param {Object} state The state of the calling function, for handleRequest.
+ * @return {Object}
+ */
+async function queryFullPage( session, params, options, getResponsePage, state ) {
+	const {
+		'm3api-query/parallelProps': parallelProps,
+		warn,
+	} = {
+		...DEFAULT_OPTIONS,
+		...session.defaultOptions,
+		...options,
+	};
+
+	const mergePages = pageMerger( session, options );
+	const propParams = parallelProps > 1 ? splitProps( params ) : null;
+	if ( propParams !== null ) {
+		const chainOptions = parallelOptions( options, warn );
+		const pages = await mapConcurrently(
+			propParams,
+			parallelProps,
+			( params ) => queryFullPage( session, params, chainOptions, getResponsePage, state ),
+		);
+		let page = {};
+		for ( const propPage of pages ) {
+			page = mergePages( page, propPage );
+		}
+		return page;
+	}
+
+	const reducer = ( page, response ) => {
+		const incr = getResponsePage( response );
+		return mergePages( page, incr );
+	};
+	const initial = () => ( {} );
+	return requestFirstBatch( session, params, options, reducer, initial, state );
+}
+
 /**
  * Make a single request for the given page and return it.
  *
@@ -686,7 +2169,7 @@ Object.assign( DEFAULT_OPTIONS, {
  */
 async function queryPartialPageByTitle( session, title, params = {}, options = {} ) {
 	params = makeParamsWithTitle( params, title );
-	const response = await session.request( params, options );
+	const response = await request( session, params, options, {} );
 	return getResponsePageByTitle( response, title );
 }
 
@@ -709,7 +2192,7 @@ async function queryPartialPageByTitle( session, title, params = {}, options = {
  */
 async function * queryIncrementalPageByTitle( session, title, params = {}, options = {} ) {
 	params = makeParamsWithTitle( params, title );
-	for await ( const response of session.requestAndContinue( params, options ) ) {
+	for await ( const response of requestAndContinue( session, params, options, {} ) ) {
 		yield getResponsePageByTitle( response, title );
 		if ( 'batchcomplete' in response ) {
 			// there *should* be no continuation past this anyways,
@@ -757,34 +2240,137 @@ async function queryFullPageByTitle(
 	title,
 	params = {},
 	options = {},
+) {
+	params = makeParamsWithTitle( params, title );
+	const page = await queryFullPage(
+		session,
+		params,
+		options,
+		( response ) => getResponsePageByTitle( response, title ),
+		{},
+	);
+	return pageFinisher( session, options )( page );
+}
+
+/**
+ * Query for the full data of many pages, in chunks of titles or IDs.
+ *
+ * @private
+ * @param {Session} session
+ * @param {string} paramName The name of the parameter to send the values in,
+ * e.g. titles or pageids.
+ * @param {Iterable<string|number>} values The titles or IDs to query.
+ * @param {Function} getResponsePage Get the page for one value out of a response,
+ * e.g. {@link getResponsePageByTitle}.
+ * @param {Object} params Not modified.
+ * @param {Options} options
+ * @param {string} caller The name of the public function, for error reporting.
+ * @return {Map} The page (or null) for each value, in input order.
+ */
+async function queryFullPagesInChunks(
+	session,
+	paramName,
+	values,
+	getResponsePage,
+	params,
+	options,
+	caller,
 ) {
 	const {
-		'm3api-query/mergeValues': mergeValues,
+		'm3api-query/chunkSize': chunkSize,
 	} = {
 		...DEFAULT_OPTIONS,
 		...session.defaultOptions,
 		...options,
 	};
 
-	params = makeParamsWithTitle( params, title );
-	const reducer = ( page, response ) => {
-		const incr = getResponsePageByTitle( response, title );
-		mergeObjects( page, incr, mergeValues );
-		return page;
-	};
-	const initial = () => ( {} );
+	disallowBulkParam( params, paramName, caller );
+	const mergePages = pageMerger( session, options );
+	const finishPage = pageFinisher( session, options );
+
+	values = [ ...values ];
+	const uniqueValues = setFrom( values, ( value ) => value.toString() );
+	const pagesByValue = new Map();
+	const state = {}; // for handleRequest
+	for ( const chunk of chunks( uniqueValues, chunkSize ) ) {
+		const chunkParams = makeParams( { ...params, [ paramName ]: set( ...chunk ) } );
+		const reducer = ( batch, response ) => {
+			addResponsePagesToBatch( batch.pages, response, mergePages );
+			for ( const value of chunk ) {
+				if ( !batch.keys.has( value ) ) {
+					const page = getResponsePage( response, value );
+					if ( page !== null ) {
+						batch.keys.set( value, pageKey( page ) );
+					}
+				}
+			}
+			return batch;
+		};
+		const initial = () => ( { pages: new Map(), keys: new Map() } );
+
+		const batch = await requestFirstBatch(
+			session,
+			chunkParams,
+			options,
+			reducer,
+			initial,
+			state,
+		);
+
+		const finishedPages = new Map();
+		for ( const value of chunk ) {
+			const key = batch.keys.get( value );
+			if ( key === undefined ) {
+				pagesByValue.set( value, null );
+				continue;
+			}
+			if ( !finishedPages.has( key ) ) {
+				finishedPages.set( key, finishPage( batch.pages.get( key ) ) );
+			}
+			pagesByValue.set( value, finishedPages.get( key ) );
+		}
+	}
 
-	// eslint-disable-next-line no-unreachable-loop
-	for await ( const page of session.requestAndContinueReducingBatch(
+	return new Map( values.map(
+		( value ) => [ value, pagesByValue.get( value.toString() ) ],
+	) );
+}
+
+/**
+ * Query for the full data of the pages with the given titles.
+ *
+ * This is like calling {@link queryFullPageByTitle} for each title,
+ * but much more efficient: the titles are sent in chunks,
+ * each chunk with as many titles as the API allows in a single request
+ * (see the m3api-query/chunkSize option),
+ * and continuation is followed for each chunk
+ * until the full data of all its pages has been returned.
+ *
+ * @param {Session} session An API session.
+ * @param {Iterable<string>} titles The titles of the pages to query.
+ * @param {Object} [params] Other request parameters.
+ * You will usually want to specify at least the prop parameter.
+ * This must not include the titles parameter.
+ * @param {Options} [options] Request options,
+ * including custom options for this package (see the type documentation).
+ * @return {Map<string,Object|null>} The full data of each page,
+ * keyed by the titles as given (i.e. before normalization, conversion or redirect resolution),
+ * in the same order as the given titles.
+ * A value is null if the page for this title was not found in the response,
+ * as for {@link getResponsePageByTitle}.
+ * If several titles resolve to the same page (e.g. a redirect and its target),
+ * they will map to the same page object.
+ */
+async function queryFullPagesByTitles( session, titles, params = {}, options = {} ) {
+	return queryFullPagesInChunks(
+		session,
+		'titles',
+		titles,
+		getResponsePageByTitle,
 		params,
 		options,
-		reducer,
-		initial,
-	) ) {
-		return page;
-	}
-
-	throw new Error( 'API finished continuation without completing a batch' );
+		'queryFullPagesByTitles',
+	);
 }
 
 /**
@@ -805,7 +2391,7 @@ async function queryFullPageByTitle(
  */
 async function queryPartialPageByPageId( session, pageId, params = {}, options = {} ) {
 	params = makeParamsWithPageId( params, pageId );
-	const response = await session.request( params, options );
+	const response = await request( session, params, options, {} );
 	return getResponsePageByPageId( response, pageId );
 }
 
@@ -828,7 +2414,7 @@ async function queryPartialPageByPageId( session, pageId, params = {}, options =
  */
 async function * queryIncrementalPageByPageId( session, pageId, params = {}, options = {} ) {
 	params = makeParamsWithPageId( params, pageId );
-	for await ( const response of session.requestAndContinue( params, options ) ) {
+	for await ( const response of requestAndContinue( session, params, options, {} ) ) {
 		yield getResponsePageByPageId( response, pageId );
 		if ( 'batchcomplete' in response ) {
 			// there *should* be no continuation past this anyways,
@@ -877,33 +2463,51 @@ async function queryFullPageByPageId(
 	params = {},
 	options = {},
 ) {
-	const {
-		'm3api-query/mergeValues': mergeValues,
-	} = {
-		...DEFAULT_OPTIONS,
-		...session.defaultOptions,
-		...options,
-	};
-
 	params = makeParamsWithPageId( params, pageId );
-	const reducer = ( page, response ) => {
-		const incr = getResponsePageByPageId( response, pageId );
-		mergeObjects( page, incr, mergeValues );
-		return page;
-	};
-	const initial = () => ( {} );
-
-	// eslint-disable-next-line no-unreachable-loop
-	for await ( const page of session.requestAndContinueReducingBatch(
+	const page = await queryFullPage(
+		session,
 		params,
 		options,
-		reducer,
-		initial,
-	) ) {
-		return page;
-	}
+		( response ) => getResponsePageByPageId( response, pageId ),
+		{},
+	);
+	return pageFinisher( session, options )( page );
+}
 
-	throw new Error( 'API finished continuation without completing a batch' );
+/**
+ * Query for the full data of the pages with the given page IDs.
+ *
+ * This is like calling {@link queryFullPageByPageId} for each page ID,
+ * but much more efficient: the page IDs are sent in chunks,
+ * each chunk with as many page IDs as the API allows in a single request
+ * (see the m3api-query/chunkSize option),
+ * and continuation is followed for each chunk
+ * until the full data of all its pages has been returned.
+ *
+ * @param {Session} session An API session.
+ * @param {Iterable<string|number>} pageIds The page IDs of the pages to query.
+ * @param {Object} [params] Other request parameters.
+ * You will usually want to specify at least the prop parameter.
+ * This must not include the pageids parameter.
+ * @param {Options} [options] Request options,
+ * including custom options for this package (see the type documentation).
+ * @return {Map<string|number,Object|null>} The full data of each page,
+ * keyed by the page IDs as given, in the same order as the given page IDs.
+ * If no page exists for a page ID, the API still returns a page object for it,
+ * with a key indicating that the page is missing;
+ * a null value likely means a mismatch between request parameters and page ID,
+ * as for {@link getResponsePageByPageId}.
+ */
+async function queryFullPagesByPageIds( session, pageIds, params = {}, options = {} ) {
+	return queryFullPagesInChunks(
+		session,
+		'pageids',
+		pageIds,
+		getResponsePageByPageId,
+		params,
+		options,
+		'queryFullPagesByPageIds',
+	);
 }
 
 /**
@@ -944,7 +2548,7 @@ async function * queryPotentialRevisionByRevisionId(
 		dropTruncatedResultWarning: true,
 		...options,
 	};
-	for await ( const response of session.requestAndContinue( params, options ) ) {
+	for await ( const response of requestAndContinue( session, params, options, {} ) ) {
 		const revision = getResponseRevisionByRevisionId( response, revisionId );
 		yield revision;
 		if ( revision !== null ) {
@@ -978,25 +2582,585 @@ async function * queryPotentialRevisionByRevisionId(
  * attached using {@link pageOfRevision} as the key;
  * its contents will similarly depend on the request parameter, especially prop.
  */
-async function queryFullRevisionByRevisionId(
+async function queryFullRevisionByRevisionId(
+	session,
+	revisionId,
+	params = {},
+	options = {},
+) {
+	return queryFullRevisionOfProp( session, revisionId, params, options, 'revisions' );
+}
+
+/**
+ * Query for the full data of the given deleted revision and return it.
+ *
+ * This is the counterpart of {@link queryFullRevisionByRevisionId}
+ * for prop=deletedrevisions, which requires the deletedhistory right
+ * (and further rights to see the content of deleted revisions).
+ *
+ * @param {Session} session An API session.
+ * @param {string|number} revisionId The revision ID of the deleted revision to query.
+ * @param {Object} [params] Other request parameters.
+ * You will usually want to specify at least the drvprop parameter.
+ * This may include the revids parameter,
+ * in which case the given revision ID will be added if necessary.
+ * Likewise, this may include the prop parameter,
+ * in which case prop=deletedrevisions will be added if necessary.
+ * @param {Options} [options] Request options.
+ * The dropTruncatedResultWarning option defaults to true here.
+ * @return {Object} The data of the deleted revision with the given revision ID.
+ * The revision will have the corresponding page object, without its deleted revisions,
+ * attached using {@link pageOfRevision} as the key.
+ * If no such revision exists, or it exists but is not deleted
+ * (i.e. the API returned its page without any deleted revisions),
+ * the returned revision will have a key indicating that it is missing
+ * (and no page attached).
+ */
+async function queryFullDeletedRevisionByRevisionId(
+	session,
+	revisionId,
+	params = {},
+	options = {},
+) {
+	return queryFullRevisionOfProp( session, revisionId, params, options, 'deletedrevisions' );
+}
+
+/**
+ * Query for the full data of the given revision in the given revisions prop.
+ *
+ * @private
+ * @param {Session} session
+ * @param {string|number} revisionId
+ * @param {Object} params
+ * @param {Options} options
+ * @param {string} prop The prop with the revisions, i.e. revisions or deletedrevisions.
+ * @return {Object}
+ */
+async function queryFullRevisionOfProp( session, revisionId, params, options, prop ) {
+	params = makeParamsWithRevisionId( params, revisionId, prop );
+	options = {
+		dropTruncatedResultWarning: true,
+		...options,
+	};
+	let lastResponse = null;
+	for await ( const response of requestAndContinue( session, params, options, {} ) ) {
+		const revision = getResponseRevisionOfProp( response, revisionId, prop );
+		if ( revision !== null ) {
+			return revision;
+		}
+		lastResponse = response;
+	}
+
+	const query = ( lastResponse !== null && lastResponse.query ) || {};
+	if ( prop === 'deletedrevisions' && query.pages !== undefined ) {
+		// the revision exists but is not deleted:
+		// the API returns its page (without deletedrevisions) and no badrevids
+		return missingRevision( { revid: Number( revisionId ) }, lastResponse, query );
+	}
+	throw new Error( 'API finished continuation without returning the revision' );
+}
+
+/**
+ * Query for the full data of the revisions with the given revision IDs,
+ * yielding one revision at a time.
+ *
+ * This is like calling {@link queryFullRevisionByRevisionId} for each revision ID,
+ * but much more efficient: the revision IDs are sent in chunks,
+ * each chunk with as many revision IDs as the API allows in a single request
+ * (see the m3api-query/chunkSize option).
+ * Unlike {@link queryFullRevisions} with the revids parameter,
+ * the revisions are yielded in the order of the given revision IDs.
+ *
+ * @param {Session} session An API session.
+ * @param {Iterable<string|number>} revisionIds The revision IDs of the revisions to query.
+ * Duplicate revision IDs are only queried and yielded once.
+ * @param {Object} [params] Other request parameters.
+ * You will usually want to specify at least the rvprop parameter.
+ * This must not include the revids parameter.
+ * This may include the prop parameter,
+ * in which case prop=revisions will be added if necessary.
+ * @param {Options} [options] Request options,
+ * including custom options for this package (see the type documentation).
+ * The dropTruncatedResultWarning option defaults to true here.
+ * @yield {Object} The data of each revision, in the order of the given revision IDs.
+ * Each revision will have the corresponding page object, without its revisions,
+ * attached using {@link pageOfRevision} as the key.
+ * Revisions that do not exist are yielded with a key indicating that they are missing
+ * (and without a page attached).
+ */
+async function * queryFullRevisionsByRevisionIds(
+	session,
+	revisionIds,
+	params = {},
+	options = {},
+) {
+	const {
+		'm3api-query/chunkSize': chunkSize,
+	} = {
+		...DEFAULT_OPTIONS,
+		...session.defaultOptions,
+		...options,
+	};
+
+	disallowBulkParam( params, 'revids', 'queryFullRevisionsByRevisionIds' );
+	params = makeParamsWithString( 'prop', params, 'revisions' );
+	options = {
+		dropTruncatedResultWarning: true,
+		...options,
+	};
+
+	const uniqueRevisionIds = setFrom( revisionIds, ( revisionId ) => revisionId.toString() );
+	const state = {}; // for handleRequest
+	for ( const chunk of chunks( uniqueRevisionIds, chunkSize ) ) {
+		const chunkParams = { ...params, revids: set( ...chunk ) };
+		const revisions = new Map();
+		for await ( const response of requestAndContinue( session, chunkParams, options, state ) ) {
+			for ( const revision of getResponseRevisions( response ) ) {
+				revisions.set( revision.revid.toString(), revision );
+			}
+		}
+
+		for ( const revisionId of chunk ) {
+			if ( !revisions.has( revisionId ) ) {
+				throw new Error( `API finished continuation without returning the revision ${ revisionId }` );
+			}
+			yield revisions.get( revisionId );
+		}
+	}
+}
+
+/**
+ * Make continued requests for a collection of pages,
+ * and yield the partial pages from each response as soon as it arrives.
+ *
+ * This is the counterpart of {@link queryIncrementalPageByTitle} for generators:
+ * the individual pages might be incomplete,
+ * and the same page may be yielded several times (once per response it appears in),
+ * but once a response completes a batch, all pages in that batch are complete.
+ * See also {@link queryFullPages}, which merges the partial pages for you,
+ * but only yields them once the whole batch is complete.
+ *
+ * @param {Session} session An API session.
+ * @param {Object} params Request parameters.
+ * Most useful with a generator, its parameters (all prefixed with g),
+ * and then a prop parameter to determine the properties of each returned page.
+ * Can also be used with titles/pageids/revids, though.
+ * @param {Options} [options] Request options.
+ * @yield {Object} An object with two keys:
+ * page, one version of a page as returned in a response,
+ * and batchComplete, a boolean indicating whether that response completed the batch
+ * (and thus whether the page is now complete, once merged with its earlier versions).
+ */
+async function * queryIncrementalPages(
+	session,
+	params,
+	options = {},
+) {
+	assertReturnsPages( params, 'queryIncrementalPages' );
+	params = makeParams( params );
+
+	for await ( const response of requestAndContinue( session, params, options, {} ) ) {
+		const batchComplete = responseBoolean( response.batchcomplete );
+		for ( const page of getResponsePages( response ) ) {
+			yield { page, batchComplete };
+		}
+	}
+}
+
+/**
+ * Read ahead from an async iterable,
+ * buffering up to the given number of values beyond the current one.
+ *
+ * Values are still requested from the underlying iterator one at a time;
+ * when the returned iterator is returned early,
+ * no further values are requested, the controller is aborted
+ * (which should abort any value currently being requested),
+ * and the underlying iterator is returned too.
+ *
+ * @private
+ * @param {Object} iterable
+ * @param {number} size The maximum number of values to buffer.
+ * @param {AbortController} controller
+ * @yield {*} The same values as the iterable.
+ */
+async function * prefetch( iterable, size, controller ) {
+	const iterator = iterable[ Symbol.asyncIterator ]();
+	const buffer = [];
+	let stopped = false;
+	let last = null;
+	function request() {
+		const previous = last;
+		last = ( async () => {
+			if ( previous !== null && ( await previous ).done ) {
+				return { done: true };
+			}
+			if ( stopped ) {
+				return { done: true };
+			}
+			return iterator.next();
+		} )();
+		// errors are handled once the consumer gets to this value
+		last.catch( () => {} );
+		buffer.push( last );
+	}
+
+	try {
+		request();
+		while ( true ) {
+			const { done, value } = await buffer.shift();
+			if ( done ) {
+				return;
+			}
+			while ( buffer.length < size ) {
+				request();
+			}
+			yield value;
+		}
+	} finally {
+		stopped = true;
+		controller.abort();
+		await iterator.return();
+	}
+}
+
+/**
+ * Find the limit parameter of the generator in the given params.
+ *
+ * @private
+ * @param {Object} params
+ * @param {string|null} limitParam The m3api-query/generatorLimitParam option.
+ * @param {string|null} optionName The option that needs the limit parameter, for error reporting,
+ * or null if the limit parameter is optional.
+ * @return {string|null} The limit parameter,
+ * or null if it cannot be determined and optionName is null.
+ */
+function generatorLimitParam( params, limitParam, optionName ) {
+	if ( limitParam !== null ) {
+		return limitParam;
+	}
+	const candidates = Object.keys( params ).filter( ( key ) => /^g[a-z]*limit$/.test( key ) );
+	if ( candidates.length === 1 ) {
+		return candidates[ 0 ];
+	}
+	if ( optionName === null ) {
+		return null;
+	}
+	throw new RangeError( `Cannot determine the generator limit parameter for ${ optionName }, ` +
+		'please specify it in the params (e.g. gaplimit) ' +
+		'or using the m3api-query/generatorLimitParam option' );
+}
+
+/**
+ * Lower the given limit parameter to the given number of remaining results, if necessary.
+ *
+ * @private
+ * @param {Object} params Not modified.
+ * @param {string|null} limitParam
+ * @param {number} remaining
+ * @return {Object} The params, either the same object or a copy with a lower limit.
+ */
+function lowerLimit( params, limitParam, remaining ) {
+	if ( limitParam === null || params[ limitParam ] === undefined ) {
+		return params;
+	}
+	let limit = params[ limitParam ];
+	// the actual maximum depends on the module and the user’s rights,
+	// but is at least 50, so we can safely lower “max” to any smaller limit
+	limit = limit === 'max' ? 50 : numericLimit( limit );
+	if ( remaining >= limit ) {
+		return params;
+	}
+	return { ...params, [ limitParam ]: Math.max( 1, remaining ) };
+}
+
+/**
+ * Get the numeric value of a limit parameter.
+ *
+ * @private
+ * @param {string|number|undefined} limit
+ * @return {number}
+ */
+function numericLimit( limit ) {
+	if ( limit === undefined ) {
+		return 10; // default of most API modules
+	}
+	if ( limit === 'max' ) {
+		return 500; // maximum of most API modules, for users without apihighlimits
+	}
+	return Number( limit );
+}
+
+/**
+ * Make an adjustParams callback for {@link queryFullPageBatches}
+ * that adjusts the generator limit to target the given number of requests per batch.
+ *
+ * @private
+ * @param {Object} params The initial params.
+ * @param {string} limitParam
+ * @param {number} targetRequests
+ * @return {Function}
+ */
+function adaptiveGeneratorLimit( params, limitParam, targetRequests ) {
+	// the real maximum depends on the module, the other params and the user rights,
+	// so never raise the limit above the initial one (which may be 'max')
+	const initialLimit = params[ limitParam ];
+	const maxLimit = numericLimit( initialLimit );
+	return ( params, { requests } ) => {
+		const limit = numericLimit( params[ limitParam ] );
+		const adjustedLimit = Math.max( 1, Math.round( limit * targetRequests / requests ) );
+		if ( adjustedLimit >= maxLimit ) {
+			if ( params[ limitParam ] === initialLimit ) {
+				return params;
+			}
+			return { ...params, [ limitParam ]: initialLimit };
+		}
+		if ( adjustedLimit === limit ) {
+			return params;
+		}
+		return { ...params, [ limitParam ]: adjustedLimit };
+	};
+}
+
+/**
+ * Make an adjustParams callback for {@link queryFullPageBatches}
+ * that stops after the given number of pages,
+ * lowering the generator limit if fewer pages than that remain.
+ *
+ * @private
+ * @param {string|null} limitParam
+ * @param {number} maxPages
+ * @return {Function}
+ */
+function cappedGeneratorLimit( limitParam, maxPages ) {
+	let pagesSoFar = 0;
+	return ( params, { pages } ) => {
+		pagesSoFar += pages;
+		const remaining = maxPages - pagesSoFar;
+		if ( remaining <= 0 ) {
+			return null;
+		}
+		return lowerLimit( params, limitParam, remaining );
+	};
+}
+
+/**
+ * Combine several adjustParams callbacks for {@link queryFullPageBatches}.
+ *
+ * @private
+ * @param {Function[]} adjustments
+ * @return {Function|null}
+ */
+function combineAdjustParams( adjustments ) {
+	if ( adjustments.length === 0 ) {
+		return null;
+	}
+	return ( params, batch ) => {
+		for ( const adjust of adjustments ) {
+			params = adjust( params, batch );
+			if ( params === null ) {
+				break;
+			}
+		}
+		return params;
+	};
+}
+
+/**
+ * Update the statistics for the m3api-query/onProgress option after a response,
+ * and report them.
+ *
+ * @private
+ * @param {Object} progress The statistics so far. Modified.
+ * @param {Object} response
+ * @param {number} results The number of pages or revisions in the response.
+ * @param {onProgress} onProgress
+ */
+function reportProgress( progress, response, results, onProgress ) {
+	progress.requests++;
+	if ( responseBoolean( response.batchcomplete ) ) {
+		progress.batches++;
+	}
+	if ( results === 0 ) {
+		progress.consecutiveEmptyResponses++;
+	} else {
+		progress.consecutiveEmptyResponses = 0;
+	}
+	progress.continue = response.continue !== undefined ? { ...response.continue } : null;
+	onProgress( { ...progress } );
+}
+
+/**
+ * Update the statistics for the m3api-query/onProgress option
+ * after a response of one of several parallel request chains, and report them.
+ *
+ * Unlike {@link reportProgress}, this does not count batches or empty responses,
+ * since each chain completes every batch separately;
+ * use {@link reportProgressBatch} once the merged batch is complete.
+ *
+ * @private
+ * @param {Object} progress The statistics so far. Modified.
+ * @param {Object} response
+ * @param {onProgress} onProgress
+ */
+function reportParallelProgress( progress, response, onProgress ) {
+	progress.requests++;
+	progress.continue = response.continue !== undefined ? { ...response.continue } : null;
+	onProgress( { ...progress } );
+}
+
+/**
+ * Update the statistics for the m3api-query/onProgress option
+ * after a merged batch of several parallel request chains is complete, and report them.
+ *
+ * @private
+ * @param {Object} progress The statistics so far. Modified.
+ * @param {number} results The number of pages in the merged batch.
+ * @param {onProgress} onProgress
+ */
+function reportProgressBatch( progress, results, onProgress ) {
+	progress.batches++;
+	if ( results === 0 ) {
+		progress.consecutiveEmptyResponses++;
+	} else {
+		progress.consecutiveEmptyResponses = 0;
+	}
+	onProgress( { ...progress } );
+}
+
+/**
+ * Make continued requests for a collection of pages,
+ * and yield each complete batch of pages.
+ *
+ * @private
+ * @param {Session} session
+ * @param {Object} params
+ * @param {Options} options
+ * @param {Object} state The state of the calling function, for handleRequest.
+ * @param {Object|null} resumeFrom The continuation parameters for the first request.
+ * @param {Function} mergePages From {@link pageMerger}.
+ * @param {Function|null} [adjustParams] Called at the end of each batch
+ * with the current params and an object with the number of requests and pages in the batch;
+ * if it returns different params, they are used from the next batch onwards,
+ * if it returns null, no further batches are requested.
+ * @param {Function|null} [onResponse] Called with each response.
+ * @yield {Object} An object with two keys:
+ * pages, a Map of the full pages by {@link pageKey},
+ * and continue, the continuation parameters after the batch (or undefined).
+ */
+async function * queryFullPageBatches(
+	session,
+	params,
+	options,
+	state,
+	resumeFrom,
+	mergePages,
+	adjustParams = null,
+	onResponse = null,
+) {
+	let continueParams = resumeFrom || undefined;
+	chainLoop: do {
+		let pages = new Map();
+		let requests = 0;
+		for await ( const response of requestAndContinue(
+			session,
+			params,
+			options,
+			state,
+			continueParams,
+		) ) {
+			requests++;
+			addResponsePagesToBatch( pages, response, mergePages );
+			if ( onResponse !== null ) {
+				onResponse( response );
+			}
+			if ( !responseBoolean( response.batchcomplete ) ) {
+				continue;
+			}
+
+			yield { pages, continue: response.continue };
+
+			if ( adjustParams !== null && response.continue !== undefined ) {
+				const adjustedParams = adjustParams( params, { requests, pages: pages.size } );
+				if ( adjustedParams === null ) {
+					return;
+				}
+				if ( adjustedParams !== params ) {
+					// start a new chain of requests with the new params
+					params = adjustedParams;
+					continueParams = { ...response.continue };
+					continue chainLoop;
+				}
+			}
+			pages = new Map();
+			requests = 0;
+		}
+		break;
+	} while ( true );
+}
+
+/**
+ * Like {@link queryFullPageBatches},
+ * but with several request chains (one per prop) running in parallel,
+ * merging their batches.
+ *
+ * @private
+ * @param {Session} session
+ * @param {Object[]} propParams The params for each chain, from {@link splitProps}.
+ * @param {Options} options
+ * @param {Object} state The state of the calling function, for handleRequest.
+ * @param {number} concurrency The maximum number of concurrent requests.
+ * @param {Function} mergePages From {@link pageMerger}.
+ * @param {Function|null} onResponse Called with each response of each chain.
+ * @yield {Object} Same as for {@link queryFullPageBatches},
+ * but without continue.
+ */
+async function * queryFullPageBatchesInParallel(
 	session,
-	revisionId,
-	params = {},
-	options = {},
+	propParams,
+	options,
+	state,
+	concurrency,
+	mergePages,
+	onResponse,
 ) {
-	params = makeParamsWithRevisionId( params, revisionId );
-	options = {
-		dropTruncatedResultWarning: true,
-		...options,
-	};
-	for await ( const response of session.requestAndContinue( params, options ) ) {
-		const revision = getResponseRevisionByRevisionId( response, revisionId );
-		if ( revision !== null ) {
-			return revision;
+	const iterators = propParams.map( ( params ) => queryFullPageBatches(
+		session,
+		params,
+		options,
+		state,
+		null,
+		mergePages,
+		null,
+		onResponse,
+	) );
+
+	try {
+		while ( true ) {
+			const results = await mapConcurrently(
+				iterators,
+				concurrency,
+				( iterator ) => iterator.next(),
+			);
+			const done = results.filter( ( result ) => result.done ).length;
+			if ( done === results.length ) {
+				return;
+			}
+			if ( done > 0 ) {
+				throw new Error( 'Parallel requests for different props returned different numbers of batches' );
+			}
+
+			const [ { value: { pages } }, ...otherResults ] = results;
+			for ( const { value: { pages: otherPages } } of otherResults ) {
+				for ( const [ key, page ] of otherPages ) {
+					const basePage = pages.has( key ) ? pages.get( key ) : null;
+					pages.set( key, mergePages( basePage, page ) );
+				}
+			}
+			yield { pages };
 		}
+	} finally {
+		await Promise.all( iterators.map( ( iterator ) => iterator.return() ) );
 	}
-
-	throw new Error( 'API finished continuation without returning the revision' );
 }
 
 /**
@@ -1026,57 +3190,132 @@ async function * queryFullPages(
 	options = {},
 ) {
 	const {
-		'm3api-query/mergeValues': mergeValues,
 		'm3api-query/comparePages': comparePages,
 		'm3api-query/handlePages': handlePages,
+		'm3api-query/onCheckpoint': onCheckpoint,
+		'm3api-query/resumeFrom': resumeFrom,
+		'm3api-query/parallelProps': parallelProps,
+		'm3api-query/targetRequestsPerBatch': targetRequestsPerBatch,
+		'm3api-query/generatorLimitParam': limitParam,
+		'm3api-query/prefetchBatches': prefetchBatches,
+		'm3api-query/maxPages': maxPages,
+		'm3api-query/onProgress': onProgress,
+		warn,
 	} = {
 		...DEFAULT_OPTIONS,
 		...session.defaultOptions,
 		...options,
 	};
-	const state = {}; // for handlePages
+	const state = {}; // for handlePages and handleRequest
+	const mergePages = pageMerger( session, options );
+	const progress = {
+		requests: 0,
+		batches: 0,
+		pages: 0,
+		consecutiveEmptyResponses: 0,
+		continue: null,
+	};
 
 	assertReturnsPages( params, 'queryFullPages' );
+	if ( maxPages !== null && maxPages <= 0 ) {
+		return;
+	}
 	params = makeParams( params );
-	const reducer = ( batch, response ) => {
-		let pages = ( response.query || {} ).pages || [];
-		if ( !Array.isArray( pages ) ) {
-			pages = Object.values( pages );
-		}
+	options = {
+		dropTruncatedResultWarning: true,
+		...options,
+	};
+	let prefetchController = null;
+	if ( prefetchBatches > 0 ) {
+		// used to abort a prefetched request if the caller stops iterating
+		prefetchController = new AbortController();
+		state.prefetchSignal = prefetchController.signal;
+	}
 
-		for ( const page of pages ) {
-			const key = page.pageid || page.title; // fall back to title for missing pages
-			if ( batch.has( key ) ) {
-				mergeObjects( batch.get( key ), page, mergeValues );
-			} else {
-				batch.set( key, page );
-			}
+	let batches;
+	const propParams = parallelProps > 1 ? splitProps( params ) : null;
+	let onResponse = null;
+	if ( onProgress !== null ) {
+		onResponse = propParams === null ?
+			( response ) => reportProgress(
+				progress,
+				response,
+				getResponsePages( response ).length,
+				onProgress,
+			) :
+			// batches and empty responses are counted once per merged batch, see below
+			( response ) => reportParallelProgress( progress, response, onProgress );
+	}
+	if ( propParams !== null ) {
+		if ( onCheckpoint !== null || resumeFrom !== null || targetRequestsPerBatch !== null ) {
+			throw new RangeError( 'The m3api-query/onCheckpoint, m3api-query/resumeFrom ' +
+				'and m3api-query/targetRequestsPerBatch options ' +
+				'cannot be combined with m3api-query/parallelProps' );
+		}
+		batches = queryFullPageBatchesInParallel(
+			session,
+			propParams,
+			parallelOptions( options, warn ),
+			state,
+			parallelProps,
+			mergePages,
+			onResponse,
+		);
+	} else {
+		const adjustments = [];
+		if ( targetRequestsPerBatch !== null ) {
+			adjustments.push( adaptiveGeneratorLimit(
+				params,
+				generatorLimitParam( params, limitParam, 'm3api-query/targetRequestsPerBatch' ),
+				targetRequestsPerBatch,
+			) );
 		}
+		if ( maxPages !== null ) {
+			const maxPagesLimitParam = generatorLimitParam( params, limitParam, null );
+			params = lowerLimit( params, maxPagesLimitParam, maxPages );
+			adjustments.push( cappedGeneratorLimit( maxPagesLimitParam, maxPages ) );
+		}
+		batches = queryFullPageBatches(
+			session,
+			params,
+			options,
+			state,
+			resumeFrom,
+			mergePages,
+			combineAdjustParams( adjustments ),
+			onResponse,
+		);
+	}
 
-		return batch;
-	};
-	const initial = () => new Map();
+	if ( prefetchBatches > 0 ) {
+		batches = prefetch( batches, prefetchBatches, prefetchController );
+	}
 
-	for await ( const batch of session.requestAndContinueReducingBatch(
-		params,
-		options,
-		reducer,
-		initial,
-	) ) {
-		let pages = batch.values();
+	const finishPage = pageFinisher( session, options );
+	for await ( const batch of batches ) {
+		if ( onProgress !== null && propParams !== null ) {
+			reportProgressBatch( progress, batch.pages.size, onProgress );
+		}
+		let pages = Array.from( batch.pages.values(), finishPage );
 
 		if ( comparePages !== null ) {
-			pages = [ ...pages ].sort( comparePages );
+			pages = pages.sort( comparePages );
 		}
 
 		if ( handlePages !== null ) {
-			if ( !Array.isArray( pages ) ) {
-				pages = [ ...pages ];
-			}
 			pages = handlePages( pages, session, params, options, state ) || pages;
 		}
 
-		yield * pages;
+		for ( const page of pages ) {
+			yield page;
+			if ( ++progress.pages === maxPages ) {
+				return;
+			}
+		}
+
+		if ( onCheckpoint !== null && batch.continue !== undefined ) {
+			onCheckpoint( { ...batch.continue } );
+		}
 	}
 }
 
@@ -1106,71 +3345,637 @@ async function * queryFullRevisions(
 	session,
 	params,
 	options = {},
+) {
+	yield * queryFullRevisionsOfProp(
+		session,
+		params,
+		options,
+		'revisions',
+		'rvlimit',
+		'queryFullRevisions',
+	);
+}
+
+/**
+ * Query for the full data of a collection of deleted revisions,
+ * yielding one full revision at a time.
+ *
+ * This is the counterpart of {@link queryFullRevisions}
+ * for prop=deletedrevisions, which requires the deletedhistory right
+ * (and further rights to see the content of deleted revisions).
+ * All the same options are supported;
+ * with m3api-query/maxRevisions, the drvlimit parameter is lowered instead of rvlimit.
+ *
+ * @param {Session} session An API session.
+ * @param {Object} params Request parameters.
+ * You will usually want to specify drvprop,
+ * to determine the properties of each returned revision.
+ * @param {Options} [options] Request options.
+ * The dropTruncatedResultWarning option defaults to true here.
+ * @yield {Object} The full data of each returned deleted revision.
+ * Each revision will have the corresponding page object, without its deleted revisions,
+ * attached using {@link pageOfRevision} as the key.
+ * Revisions that do not exist (e.g. given via revids) are yielded
+ * with a key indicating that they are missing (and without a page attached).
+ */
+async function * queryFullDeletedRevisions(
+	session,
+	params,
+	options = {},
+) {
+	yield * queryFullRevisionsOfProp(
+		session,
+		params,
+		options,
+		'deletedrevisions',
+		'drvlimit',
+		'queryFullDeletedRevisions',
+	);
+}
+
+/**
+ * Query for the full data of a collection of revisions in the given revisions prop.
+ *
+ * @private
+ * @param {Session} session
+ * @param {Object} params
+ * @param {Options} options
+ * @param {string} prop The prop with the revisions, i.e. revisions or deletedrevisions.
+ * @param {string} revisionsLimitParam The limit parameter of that prop.
+ * @param {string} caller The name of the public function, for error messages.
+ * @yield {Object}
+ */
+async function * queryFullRevisionsOfProp(
+	session,
+	params,
+	options,
+	prop,
+	revisionsLimitParam,
+	caller,
 ) {
 	const {
 		'm3api-query/compareRevisions': compareRevisions,
 		'm3api-query/handleRevisions': handleRevisions,
+		'm3api-query/onCheckpoint': onCheckpoint,
+		'm3api-query/resumeFrom': resumeFrom,
+		'm3api-query/generatorLimitParam': limitParam,
+		'm3api-query/maxRevisions': maxRevisions,
+		'm3api-query/onProgress': onProgress,
 	} = {
 		...DEFAULT_OPTIONS,
 		...session.defaultOptions,
 		...options,
 	};
-	const state = {}; // for handleRevisions
+	const state = {}; // for handleRevisions and handleRequest
+	const progress = {
+		requests: 0,
+		batches: 0,
+		revisions: 0,
+		consecutiveEmptyResponses: 0,
+		continue: null,
+	};
 
-	assertReturnsPages( params, 'queryFullRevisions' );
-	params = makeParamsWithString( 'prop', params, 'revisions' );
+	assertReturnsPages( params, caller );
+	if ( maxRevisions !== null && maxRevisions <= 0 ) {
+		return;
+	}
+	params = makeParamsWithString( 'prop', params, prop );
+	options = {
+		dropTruncatedResultWarning: true,
+		...options,
+	};
+	const maxRevisionsLimitParam = maxRevisions !== null ?
+		generatorLimitParam( params, limitParam, null ) :
+		null;
+	if ( maxRevisions !== null ) {
+		params = lowerLimit( params, revisionsLimitParam, maxRevisions );
+		params = lowerLimit( params, maxRevisionsLimitParam, maxRevisions );
+	}
+
+	let continueParams = resumeFrom || undefined;
+	chainLoop: do {
+		for await ( const response of requestAndContinue(
+			session,
+			params,
+			options,
+			state,
+			continueParams,
+		) ) {
+			let batch = getResponseRevisions( response, prop );
+			if ( onProgress !== null ) {
+				reportProgress( progress, response, batch.length, onProgress );
+			}
+
+			if ( compareRevisions !== null ) {
+				batch = batch.sort( compareRevisions );
+			}
+
+			if ( handleRevisions !== null ) {
+				batch = handleRevisions( batch, session, params, options, state ) || batch;
+			}
+
+			for ( const revision of batch ) {
+				yield revision;
+				if ( ++progress.revisions === maxRevisions ) {
+					return;
+				}
+			}
+
+			if ( onCheckpoint !== null && response.continue !== undefined ) {
+				onCheckpoint( { ...response.continue } );
+			}
+
+			if ( maxRevisions !== null && response.continue !== undefined ) {
+				const remaining = maxRevisions - progress.revisions;
+				let adjustedParams = lowerLimit( params, revisionsLimitParam, remaining );
+				if ( responseBoolean( response.batchcomplete ) ) {
+					// the generator limit may only change between batches
+					adjustedParams = lowerLimit(
+						adjustedParams,
+						maxRevisionsLimitParam,
+						remaining,
+					);
+				}
+				if ( adjustedParams !== params ) {
+					// start a new chain of requests with the new params
+					params = adjustedParams;
+					continueParams = { ...response.continue };
+					continue chainLoop;
+				}
+			}
+		}
+		break;
+	} while ( true );
+}
+
+/**
+ * Turn a Date or timestamp string into a timestamp for the API.
+ *
+ * @private
+ * @param {Date|string} value
+ * @return {string} An ISO 8601 timestamp, with second precision.
+ */
+function apiTimestamp( value ) {
+	const date = new Date( value );
+	if ( Number.isNaN( date.getTime() ) ) {
+		throw new RangeError( `Invalid timestamp: ${ value }` );
+	}
+	return date.toISOString().replace( /\.\d{3}Z$/, 'Z' );
+}
+
+/**
+ * Query for the revisions of a page between two points in time,
+ * yielding one full revision at a time, from oldest to newest.
+ *
+ * The range is inclusive (with second precision),
+ * and the two points in time may be given in either order;
+ * the function sets rvdir, rvstart and rvend accordingly.
+ * This is built on {@link queryFullRevisions}, and accepts the same options.
+ *
+ * @param {Session} session An API session.
+ * @param {string} title The title of the page.
+ * @param {Date|string} from One end of the time range,
+ * as a Date or a timestamp string (e.g. 2023-01-01T00:00:00Z).
+ * @param {Date|string} to The other end of the time range.
+ * @param {Object} [params] Other request parameters.
+ * You will usually want to specify rvprop and rvlimit.
+ * Must not include titles, rvdir, rvstart or rvend.
+ * @param {Options} [options] Request options.
+ * @yield {Object} The full data of each revision, in chronological order,
+ * with the page attached using {@link pageOfRevision} as the key.
+ */
+async function * queryRevisionsBetween(
+	session,
+	title,
+	from,
+	to,
+	params = {},
+	options = {},
+) {
+	disallowBulkParam( params, 'titles', 'queryRevisionsBetween' );
+	for ( const paramName of [ 'rvdir', 'rvstart', 'rvend' ] ) {
+		if ( params[ paramName ] !== undefined ) {
+			throw new RangeError( `params.${ paramName } cannot be used with queryRevisionsBetween() ` +
+				'(pass the time range as separate arguments instead)' );
+		}
+	}
+	let start = apiTimestamp( from );
+	let end = apiTimestamp( to );
+	if ( start > end ) {
+		[ start, end ] = [ end, start ];
+	}
+
+	yield * queryFullRevisions( session, {
+		...makeParamsWithTitle( params, title ),
+		rvdir: 'newer',
+		rvstart: start,
+		rvend: end,
+	}, options );
+}
+
+/**
+ * Get the individual values of a titles or pageids param.
+ *
+ * @private
+ * @param {Set|Array|string|number} values
+ * @return {Array}
+ */
+function paramValues( values ) {
+	if ( values instanceof Set || Array.isArray( values ) ) {
+		return [ ...values ];
+	}
+	return [ values ];
+}
+
+/**
+ * Query for the full history of a collection of pages,
+ * yielding the revisions of one page at a time.
+ *
+ * The API only returns more than one revision per request
+ * if the request is for a single page,
+ * so this function queries each of the given titles or page IDs in turn,
+ * following continuation until the history of that page is complete,
+ * and then yields the page along with all its revisions.
+ *
+ * @param {Session} session An API session.
+ * @param {Object} params Request parameters.
+ * Must include either titles or pageids (one or several), but no generator or revids.
+ * You will usually want to specify rvprop and rvlimit,
+ * and possibly rvdir, rvstart and rvend to limit the history.
+ * @param {Options} [options] Request options.
+ * The dropTruncatedResultWarning option defaults to true here.
+ * @yield {Object} An object with two keys:
+ * page, the page object (without its revisions),
+ * and revisions, an array of all its revisions (in the order returned by the API),
+ * each with the page attached using {@link pageOfRevision} as the key.
+ * Pages are yielded in the order of the given titles or page IDs.
+ * If the API does not return a page for one of them
+ * (e.g. because the title is a redirect loop, with the redirects parameter),
+ * page is null and revisions is an empty array for that title or page ID.
+ */
+async function * queryFullPageHistories(
+	session,
+	params,
+	options = {},
+) {
+	const { titles, pageids, ...otherParams } = params;
+	if ( ( titles === undefined ) === ( pageids === undefined ) ) {
+		throw new RangeError( 'queryFullPageHistories() requires exactly one of params.titles and params.pageids' );
+	}
+	if ( otherParams.generator !== undefined || otherParams.revids !== undefined ) {
+		throw new RangeError( 'params.generator and params.revids cannot be used with queryFullPageHistories()' );
+	}
+	params = makeParamsWithString( 'prop', otherParams, 'revisions' );
+	const state = {}; // for handleRequest
+
+	const queries = titles !== undefined ?
+		paramValues( titles ).map( ( title ) => [
+			makeParamsWithTitle( params, title ),
+			( response ) => getResponsePageByTitle( response, title ),
+		] ) :
+		paramValues( pageids ).map( ( pageId ) => [
+			makeParamsWithPageId( params, pageId ),
+			( response ) => getResponsePageByPageId( response, pageId ),
+		] );
+	for ( const [ pageParams, getResponsePage ] of queries ) {
+		let found = false;
+		const fullPage = await queryFullPage(
+			session,
+			pageParams,
+			options,
+			( response ) => {
+				const responsePage = getResponsePage( response );
+				if ( responsePage === null ) {
+					return {};
+				}
+				found = true;
+				return responsePage;
+			},
+			state,
+		);
+		if ( !found ) {
+			yield { page: null, revisions: [] };
+			continue;
+		}
+		const { revisions = [], ...page } = fullPage;
+		yield {
+			page,
+			revisions: revisions.map( ( revision ) => revisionWithPage( revision, page ) ),
+		};
+	}
+}
+
+/**
+ * Query a list module, yielding one list item at a time.
+ *
+ * This is the counterpart of {@link queryFullRevisions} for list modules,
+ * especially ones that have no generator form
+ * (e.g. logevents, usercontribs, allusers, recentchanges or abuselog):
+ * it follows continuation and yields the items of query[ listName ] from each response.
+ * (List items are never split across responses, so they need no merging.)
+ * Stop iterating over the returned iterator to stop making further API requests.
+ *
+ * The m3api-query/compareListItems, m3api-query/onCheckpoint, m3api-query/resumeFrom
+ * and m3api-query/onProgress options are supported,
+ * as well as {@link maxEmptyResponses} and {@link maxRequests}.
+ *
+ * @param {Session} session An API session.
+ * @param {string} listName The name of the list module, e.g. logevents.
+ * @param {Object} [params] Other request parameters,
+ * typically the parameters of the list module (e.g. leprop, lelimit).
+ * This may include the list parameter,
+ * in which case the list name will be added if necessary;
+ * however, the items of other lists are not yielded.
+ * @param {Options} [options] Request options,
+ * including custom options for this package (see the type documentation).
+ * The dropTruncatedResultWarning option defaults to true here.
+ * @yield {Object} Each item of the list, as returned by the API.
+ */
+async function * queryFullList(
+	session,
+	listName,
+	params = {},
+	options = {},
+) {
+	const {
+		'm3api-query/compareListItems': compareListItems,
+		'm3api-query/handleListItems': handleListItems,
+		'm3api-query/onCheckpoint': onCheckpoint,
+		'm3api-query/resumeFrom': resumeFrom,
+		'm3api-query/onProgress': onProgress,
+	} = {
+		...DEFAULT_OPTIONS,
+		...session.defaultOptions,
+		...options,
+	};
+	const state = {}; // for handleListItems and handleRequest
+	const progress = {
+		requests: 0,
+		batches: 0,
+		items: 0,
+		consecutiveEmptyResponses: 0,
+		continue: null,
+	};
+
+	params = makeParamsWithString( 'list', params, listName );
 	options = {
 		dropTruncatedResultWarning: true,
 		...options,
 	};
 
-	for await ( const response of session.requestAndContinue( params, options ) ) {
-		const query = response.query || {};
-		let batch = [];
+	for await ( const response of requestAndContinue(
+		session,
+		params,
+		options,
+		state,
+		resumeFrom || undefined,
+	) ) {
+		let items = ( response.query || {} )[ listName ] || [];
+		if ( onProgress !== null ) {
+			reportProgress( progress, response, items.length, onProgress );
+		}
+
+		if ( compareListItems !== null ) {
+			items = [ ...items ].sort( compareListItems );
+		}
 
-		for ( const revision of Object.values( query.badrevids || {} ) ) {
-			batch.push( missingRevision( revision, response, query ) );
+		if ( handleListItems !== null ) {
+			items = handleListItems( items, session, params, options, state ) || items;
 		}
 
-		let pages = query.pages || [];
-		if ( !Array.isArray( pages ) ) {
-			pages = Object.values( pages );
+		for ( const item of items ) {
+			progress.items++;
+			yield item;
 		}
-		for ( const page of pages ) {
-			const { revisions, ...remainingPage } = page;
-			for ( const revision of revisions || [] ) {
-				batch.push( revisionWithPage( revision, remainingPage ) );
-			}
+
+		if ( onCheckpoint !== null && response.continue !== undefined ) {
+			onCheckpoint( { ...response.continue } );
+		}
+	}
+}
+
+/**
+ * Get a string identifying the given params,
+ * such that params with equal keys and values produce the same string.
+ *
+ * @private
+ * @param {Object} params
+ * @return {string}
+ */
+function paramsKey( params ) {
+	return JSON.stringify( Object.keys( params ).sort().map( ( key ) => {
+		let value = params[ key ];
+		if ( value instanceof Set ) {
+			value = [ ...value ];
+		}
+		return [ key, value ];
+	} ) );
+}
+
+/**
+ * A batcher that coalesces single-page and single-revision lookups into bulk requests.
+ *
+ * Calls to the methods of a batcher are not sent immediately;
+ * instead, all calls made within the same turn of the event loop,
+ * with the same (other) request parameters,
+ * are collected and then sent together
+ * using {@link queryFullPagesByTitles}, {@link queryFullPagesByPageIds}
+ * or {@link queryFullRevisionsByRevisionIds}.
+ * This is useful if many independent parts of an application
+ * (e.g. concurrent request handlers of a web service)
+ * need to look up individual pages at the same time.
+ *
+ * ```
+ * const batcher = new QueryBatcher( session );
+ * const [ page1, page2 ] = await Promise.all( [
+ *     batcher.queryFullPageByTitle( 'Page 1', { prop: set( 'info' ) } ),
+ *     batcher.queryFullPageByTitle( 'Page 2', { prop: set( 'info' ) } ),
+ * ] ); // only one API request is made
+ * ```
+ */
+class QueryBatcher {
+
+	/**
+	 * @param {Session} session The API session to make all requests with.
+	 * @param {Options} [options] The request options to make all requests with,
+	 * including custom options for this package (see the type documentation).
+	 */
+	constructor( session, options = {} ) {
+		this.session = session;
+		this.options = options;
+		this.pending = new Map();
+	}
+
+	/**
+	 * Query for the full data of the given page, batched with other calls.
+	 * See {@link queryFullPageByTitle}.
+	 *
+	 * @param {string} title The title of the page to query.
+	 * @param {Object} [params] Other request parameters.
+	 * This must not include the titles parameter.
+	 * @return {Promise<Object|null>} The full data of the page with the given title,
+	 * or null if it was not found in the response (see {@link getResponsePageByTitle}).
+	 * If several titles resolve to the same page (e.g. a redirect and its target),
+	 * the same page object may be returned for them.
+	 */
+	async queryFullPageByTitle( title, params = {} ) {
+		disallowBulkParam( params, 'titles', 'queryFullPageByTitle' );
+		return this.enqueue( 'titles', title, params );
+	}
+
+	/**
+	 * Query for the full data of the given page, batched with other calls.
+	 * See {@link queryFullPageByPageId}.
+	 *
+	 * @param {string|number} pageId The page ID of the page to query.
+	 * @param {Object} [params] Other request parameters.
+	 * This must not include the pageids parameter.
+	 * @return {Promise<Object|null>} The full data of the page with the given page ID,
+	 * or null if it was not found in the response (see {@link getResponsePageByPageId}).
+	 */
+	async queryFullPageByPageId( pageId, params = {} ) {
+		disallowBulkParam( params, 'pageids', 'queryFullPageByPageId' );
+		return this.enqueue( 'pageids', pageId.toString(), params );
+	}
+
+	/**
+	 * Query for the full data of the given revision, batched with other calls.
+	 * See {@link queryFullRevisionByRevisionId}.
+	 *
+	 * @param {string|number} revisionId The revision ID of the revision to query.
+	 * @param {Object} [params] Other request parameters.
+	 * This must not include the revids parameter.
+	 * @return {Promise<Object>} The data of the revision with the given revision ID,
+	 * with the corresponding page object attached using {@link pageOfRevision} as the key.
+	 */
+	async queryFullRevisionByRevisionId( revisionId, params = {} ) {
+		disallowBulkParam( params, 'revids', 'queryFullRevisionByRevisionId' );
+		return this.enqueue( 'revids', revisionId.toString(), params );
+	}
+
+	/**
+	 * Add a value to the pending batch for the given params,
+	 * scheduling the batch to be sent if it is new.
+	 *
+	 * @private
+	 * @param {string} paramName titles, pageids or revids.
+	 * @param {string} value
+	 * @param {Object} params
+	 * @return {Promise}
+	 */
+	enqueue( paramName, value, params ) {
+		const key = `${ paramName }\n${ paramsKey( params ) }`;
+		let batch = this.pending.get( key );
+		if ( batch === undefined ) {
+			batch = { paramName, params, callbacks: new Map() };
+			this.pending.set( key, batch );
+			setTimeout( () => {
+				this.pending.delete( key );
+				this.dispatch( batch );
+			}, 0 );
+		}
+
+		if ( !batch.callbacks.has( value ) ) {
+			batch.callbacks.set( value, [] );
 		}
+		return new Promise( ( resolve, reject ) => {
+			batch.callbacks.get( value ).push( { resolve, reject } );
+		} );
+	}
 
-		if ( compareRevisions !== null ) {
-			batch = batch.sort( compareRevisions );
+	/**
+	 * Send a batch and settle the promises of all its callers.
+	 *
+	 * @private
+	 * @param {Object} batch
+	 */
+	async dispatch( batch ) {
+		const { paramName, params, callbacks } = batch;
+		let results;
+		try {
+			results = await this.query( paramName, callbacks.keys(), params );
+		} catch ( e ) {
+			for ( const { reject } of [ ...callbacks.values() ].flat() ) {
+				reject( e );
+			}
+			return;
 		}
 
-		if ( handleRevisions !== null ) {
-			batch = handleRevisions( batch, session, params, options, state ) || batch;
+		for ( const [ value, valueCallbacks ] of callbacks ) {
+			for ( const { resolve } of valueCallbacks ) {
+				resolve( results.get( value ) );
+			}
 		}
+	}
 
-		yield * batch;
+	/**
+	 * @private
+	 * @param {string} paramName
+	 * @param {Iterable<string>} values
+	 * @param {Object} params
+	 * @return {Map}
+	 */
+	async query( paramName, values, params ) {
+		const { session, options } = this;
+		switch ( paramName ) {
+			case 'titles':
+				return queryFullPagesByTitles( session, values, params, options );
+			case 'pageids':
+				return queryFullPagesByPageIds( session, values, params, options );
+			case 'revids': {
+				const revisions = new Map();
+				for await ( const revision of queryFullRevisionsByRevisionIds(
+					session,
+					values,
+					params,
+					options,
+				) ) {
+					revisions.set( revision.revid.toString(), revision );
+				}
+				return revisions;
+			}
+		}
 	}
+
 }
 
 export {
 	pageOfRevision,
+	mergeConflicts,
 	getResponsePageByTitle,
 	getResponsePageByPageId,
 	getResponseRevisionByRevisionId,
+	RevisionContentHiddenError,
+	getRevisionContent,
+	getRevisionContentModel,
 	mergeValues,
+	mergeStrategies,
+	mergeArrays,
+	makeMergeArrays,
 	TooManyEmptyResponsesError,
 	maxEmptyResponses,
+	TooManyRequestsError,
+	maxRequests,
+	QueryAbortedError,
+	ContinuationLoopError,
 	queryPartialPageByTitle,
 	queryIncrementalPageByTitle,
 	queryFullPageByTitle,
+	queryFullPagesByTitles,
 	queryPartialPageByPageId,
 	queryIncrementalPageByPageId,
 	queryFullPageByPageId,
+	queryFullPagesByPageIds,
 	queryPotentialRevisionByRevisionId,
 	queryFullRevisionByRevisionId,
+	queryFullDeletedRevisionByRevisionId,
+	queryFullRevisionsByRevisionIds,
+	queryIncrementalPages,
 	queryFullPages,
 	queryFullRevisions,
+	queryFullDeletedRevisions,
+	queryFullPageHistories,
+	queryRevisionsBetween,
+	queryFullList,
+	QueryBatcher,
 };
@@ -1,23 +1,46 @@
 /* eslint-env mocha */
 
+import { getEventListeners } from 'node:events';
 import { Session, set } from 'm3api/core.js';
 import {
 	pageOfRevision,
+	mergeConflicts,
 	getResponsePageByTitle,
 	getResponsePageByPageId,
 	getResponseRevisionByRevisionId,
+	RevisionContentHiddenError,
+	getRevisionContent,
+	getRevisionContentModel,
+	mergeValues,
+	mergeStrategies,
+	mergeArrays,
+	makeMergeArrays,
 	TooManyEmptyResponsesError,
 	maxEmptyResponses,
+	TooManyRequestsError,
+	maxRequests,
+	QueryAbortedError,
+	ContinuationLoopError,
 	queryPartialPageByTitle,
 	queryIncrementalPageByTitle,
 	queryFullPageByTitle,
+	queryFullPagesByTitles,
 	queryPartialPageByPageId,
 	queryIncrementalPageByPageId,
 	queryFullPageByPageId,
+	queryFullPagesByPageIds,
 	queryPotentialRevisionByRevisionId,
 	queryFullRevisionByRevisionId,
+	queryFullDeletedRevisionByRevisionId,
+	queryFullRevisionsByRevisionIds,
+	queryIncrementalPages,
 	queryFullPages,
 	queryFullRevisions,
+	queryFullDeletedRevisions,
+	queryFullPageHistories,
+	queryRevisionsBetween,
+	queryFullList,
+	QueryBatcher,
 } from '../../index.js';
 import { expect, use } from 'chai';
 import chaiAsPromised from 'chai-as-promised';
@@ -352,6 +375,101 @@ describe( 'getResponseRevisionByRevisionId', () => {
 
 } );
 
+describe( 'getRevisionContent', () => {
+
+	for ( const [ name, revision ] of [
+		[ 'formatversion 2 slots', { slots: { main: { content: 'text' } } } ],
+		[ 'formatversion 1 slots', { slots: { main: { '*': 'text' } } } ],
+		[ 'formatversion 2 without rvslots', { content: 'text' } ],
+		[ 'formatversion 1 without rvslots', { '*': 'text' } ],
+	] ) {
+		it( name, () => {
+			expect( getRevisionContent( revision ) ).to.equal( 'text' );
+		} );
+	}
+
+	it( 'other slot', () => {
+		const revision = { slots: {
+			main: { content: 'main text' },
+			mediainfo: { content: 'mediainfo text' },
+		} };
+		expect( getRevisionContent( revision, 'mediainfo' ) ).to.equal( 'mediainfo text' );
+	} );
+
+	for ( const [ name, revision, slot ] of [
+		[ 'missing revision', { revid: 1, missing: true } ],
+		[ 'missing revision, formatversion 1', { revid: 1, missing: '' } ],
+		[ 'missing slot', { slots: { main: { content: 'text' } } }, 'mediainfo' ],
+		[ 'other slot without rvslots', { content: 'text' }, 'mediainfo' ],
+		[ 'textmissing', { slots: { main: { textmissing: true } } } ],
+		[ 'content not requested', { slots: { main: { contentmodel: 'wikitext' } } } ],
+	] ) {
+		it( `returns null for ${ name }`, () => {
+			expect( getRevisionContent( revision, slot ) ).to.be.null;
+		} );
+	}
+
+	for ( const [ name, revision, suppressed ] of [
+		[ 'hidden revision', { revid: 1, texthidden: true }, false ],
+		[ 'hidden slot', { revid: 1, slots: { main: { texthidden: true } } }, false ],
+		[ 'suppressed revision', { revid: 1, texthidden: true, suppressed: true }, true ],
+		[ 'suppressed revision, formatversion 1', { revid: 1, texthidden: '', suppressed: '' }, true ],
+	] ) {
+		it( `throws for ${ name }`, () => {
+			let error;
+			try {
+				getRevisionContent( revision );
+			} catch ( e ) {
+				error = e;
+			}
+			expect( error ).to.be.an.instanceof( RevisionContentHiddenError );
+			expect( error.revision ).to.equal( revision );
+			expect( error.slot ).to.equal( 'main' );
+			expect( error.suppressed ).to.equal( suppressed );
+		} );
+	}
+
+	it( 'parses JSON content', () => {
+		const revision = { slots: { main: { contentmodel: 'json', content: '{"a":1}' } } };
+		expect( getRevisionContent( revision, 'main', { parseJson: true } ) )
+			.to.eql( { a: 1 } );
+		expect( getRevisionContent( revision ) ).to.equal( '{"a":1}' );
+	} );
+
+	it( 'does not parse non-JSON content', () => {
+		const revision = { slots: { main: { contentmodel: 'wikitext', content: '{"a":1}' } } };
+		expect( getRevisionContent( revision, 'main', { parseJson: true } ) )
+			.to.equal( '{"a":1}' );
+	} );
+
+} );
+
+describe( 'getRevisionContentModel', () => {
+
+	it( 'with rvslots', () => {
+		expect( getRevisionContentModel( { slots: { main: { contentmodel: 'wikitext' } } } ) )
+			.to.equal( 'wikitext' );
+	} );
+
+	it( 'without rvslots', () => {
+		expect( getRevisionContentModel( { contentmodel: 'wikitext' } ) )
+			.to.equal( 'wikitext' );
+	} );
+
+	it( 'other slot', () => {
+		expect( getRevisionContentModel( { slots: {
+			main: { contentmodel: 'wikitext' },
+			mediainfo: { contentmodel: 'wikibase-mediainfo' },
+		} }, 'mediainfo' ) ).to.equal( 'wikibase-mediainfo' );
+	} );
+
+	it( 'returns null if unknown', () => {
+		expect( getRevisionContentModel( { slots: { main: {} } } ) ).to.be.null;
+		expect( getRevisionContentModel( { slots: {} } ) ).to.be.null;
+	} );
+
+} );
+
 /**
  * Creates an object like a jQuery Deferred:
  * a thenable with externally callable resolve() and reject() methods.
@@ -430,6 +548,22 @@ function sequentialGetSession( expectedCalls ) {
 	return new TestSession();
 }
 
+/**
+ * Create a session that answers each request using the given callback,
+ * for tests where the order of requests is not deterministic.
+ *
+ * @param {Function} respond Called with the request params, returns the response.
+ * @return {Session}
+ */
+function callbackGetSession( respond ) {
+	class TestSession extends BaseTestSession {
+		async internalGet( apiUrl, params ) {
+			return successfulResponse( await respond( params ) );
+		}
+	}
+	return new TestSession();
+}
+
 describe( 'queryPartialPageByTitle', () => {
 
 	it( 'adds default params and returns page', async () => {
@@ -791,6 +925,81 @@ describe( 'queryFullPageByTitle', () => {
 		expect( called ).to.be.true;
 	} );
 
+	describe( 'default mergeArrays behavior', () => {
+
+		const title = 'Title';
+		for ( const { name, pageA, pageB, expected } of [
+			{
+				name: 'overlapping categories',
+				pageA: { title, categories: [
+					{ ns: 14, title: 'Category:A' },
+					{ ns: 14, title: 'Category:B' },
+				] },
+				pageB: { title, categories: [
+					{ ns: 14, title: 'Category:B' },
+					{ ns: 14, title: 'Category:C' },
+				] },
+				expected: { title, categories: [
+					{ ns: 14, title: 'Category:A' },
+					{ ns: 14, title: 'Category:B' },
+					{ ns: 14, title: 'Category:C' },
+				] },
+			},
+			{
+				name: 'overlapping contributors',
+				pageA: { title, contributors: [ { userid: 1, name: 'A' } ] },
+				pageB: { title, contributors: [ { userid: 1, name: 'A' }, { userid: 2, name: 'B' } ] },
+				expected: { title, contributors: [ { userid: 1, name: 'A' }, { userid: 2, name: 'B' } ] },
+			},
+			{
+				name: 'overlapping revisions',
+				pageA: { title, revisions: [ { revid: 1 }, { revid: 2 } ] },
+				pageB: { title, revisions: [ { revid: 2 }, { revid: 3 } ] },
+				expected: { title, revisions: [ { revid: 1 }, { revid: 2 }, { revid: 3 } ] },
+			},
+			{
+				name: 'unknown arrays',
+				pageA: { title, unknown: [ 1, 2 ] },
+				pageB: { title, unknown: [ 2, 3 ] },
+				expected: { title, unknown: [ 1, 2, 2, 3 ] },
+			},
+		] ) {
+			it( name, async () => {
+				const session = sequentialGetSession( [
+					{
+						expectedParams: { action: 'query', titles: title },
+						response: { query: { pages: [ pageA ] }, continue: { continue: 'c' } },
+					},
+					{
+						expectedParams: { action: 'query', titles: title, continue: 'c' },
+						response: { query: { pages: [ pageB ] }, batchcomplete: true },
+					},
+				] );
+				const page = await queryFullPageByTitle( session, title );
+				expect( page ).to.eql( expected );
+			} );
+		}
+
+	} );
+
+	it( 'calls custom mergeArrays callback', async () => {
+		const title = 'Title';
+		const session = sequentialGetSession( [
+			{
+				expectedParams: { action: 'query', titles: title },
+				response: { query: { pages: [ { title, a: { b: [ 1 ] } } ] }, continue: { c: 'c' } },
+			},
+			{
+				expectedParams: { action: 'query', titles: title, c: 'c' },
+				response: { query: { pages: [ { title, a: { b: [ 1 ] } } ] }, batchcomplete: true },
+			},
+		] );
+		const page = await queryFullPageByTitle( session, title, {}, {
+			'm3api-query/mergeArrays': ( base, incremental, path ) => [ path, ...base, ...incremental ],
+		} );
+		expect( page ).to.eql( { title, a: { b: [ 'a.b', 1, 1 ] } } );
+	} );
+
 	describe( 'default mergeValues error reporting', () => {
 
 		const title = 'Title';
@@ -844,102 +1053,735 @@ describe( 'queryFullPageByTitle', () => {
 
 	} );
 
-} );
+	describe( 'm3api-query/collectMergeConflicts', () => {
 
-describe( 'queryPartialPageByPageId', () => {
+		it( 'collects conflicts instead of throwing', async () => {
+			const title = 'Title';
+			const session = sequentialGetSession( [
+				{
+					expectedParams: { action: 'query', titles: title },
+					response: { query: { pages: [
+						{ title, new: true, a: { b: [] } },
+					] }, continue: { c: 'c' } },
+				},
+				{
+					expectedParams: { action: 'query', titles: title, c: 'c' },
+					response: { query: { pages: [
+						{ title, new: false, a: { b: {} } },
+					] }, batchcomplete: true },
+				},
+			] );
+			const page = await queryFullPageByTitle( session, title, {}, {
+				'm3api-query/collectMergeConflicts': true,
+			} );
+			expect( page ).to.eql( {
+				title,
+				new: true,
+				a: { b: [] },
+				[ mergeConflicts ]: [
+					{ path: 'new', base: true, incremental: false },
+					{ path: 'a.b', base: [], incremental: {} },
+				],
+			} );
+		} );
 
-	// subset of the queryPartialPageByTitle tests
+		it( 'does not attach conflicts if there are none', async () => {
+			const title = 'Title';
+			const session = sequentialGetSession( [
+				{
+					expectedParams: { action: 'query', titles: title },
+					response: { query: { pages: [ { title, new: true } ] }, continue: { c: 'c' } },
+				},
+				{
+					expectedParams: { action: 'query', titles: title, c: 'c' },
+					response: { query: { pages: [ { title, new: true } ] }, batchcomplete: true },
+				},
+			] );
+			const page = await queryFullPageByTitle( session, title, {}, {
+				'm3api-query/collectMergeConflicts': true,
+			} );
+			expect( page ).to.eql( { title, new: true } );
+			expect( page ).not.to.have.property( mergeConflicts );
+		} );
 
-	it( 'adds default params and returns page', async () => {
-		const pageid = '123';
-		const page = { pageid };
-		const response = { query: { pages: [ page ] } };
-		const expectedParams = { action: 'query', pageids: pageid };
-		const session = singleGetSession( expectedParams, response );
-		expect( await queryPartialPageByPageId( session, pageid ) ).to.equal( page );
-	} );
+		it( 'also collects conflicts in queryFullPages()', async () => {
+			const session = sequentialGetSession( [
+				{
+					expectedParams: { action: 'query', generator: 'ap' },
+					response: { query: { pages: [
+						{ pageid: 1, new: true },
+						{ pageid: 2, new: true },
+					] }, continue: { c: 'c1' } },
+				},
+				{
+					expectedParams: { action: 'query', generator: 'ap', c: 'c1' },
+					response: { query: { pages: [
+						{ pageid: 1, new: false },
+					] }, continue: { c: 'c2' } },
+				},
+				{
+					expectedParams: { action: 'query', generator: 'ap', c: 'c2' },
+					response: { query: { pages: [
+						{ pageid: 1, new: false },
+						{ pageid: 2, new: true },
+					] }, batchcomplete: true },
+				},
+			] );
+			const pages = [];
+			for await ( const page of queryFullPages( session, {
+				action: 'query',
+				generator: 'ap',
+			}, {
+				'm3api-query/collectMergeConflicts': true,
+			} ) ) {
+				pages.push( page );
+			}
+			expect( pages ).to.eql( [
+				{
+					pageid: 1,
+					new: true,
+					[ mergeConflicts ]: [
+						{ path: 'new', base: true, incremental: false },
+						{ path: 'new', base: true, incremental: false },
+					],
+				},
+				{ pageid: 2, new: true },
+			] );
+		} );
 
-	it( 'disallows generator in params', async () => {
-		const pageid = '123';
-		const session = new BaseTestSession();
-		await expect( queryPartialPageByPageId( session, pageid, { generator: 'links' } ) )
-			.to.be.rejected;
 	} );
 
-	for ( const [ container, params ] of [
-		[ 'Set', ( pageid ) => ( { pageids: set( pageid ) } ) ],
-		[ 'Array', ( pageid ) => ( { pageids: [ pageid ] } ) ],
-		[ '(unwrapped)', ( pageid ) => ( { pageids: pageid } ) ],
-	] ) {
-
-		for ( const [ existingType, extraType ] of [
-			[ Number, Number ],
-			[ Number, String ],
-			[ String, Number ],
-			[ String, String ],
-		] ) {
+	describe( 'm3api-query/immutable', () => {
 
-			it( `does not duplicate existing page ID ${ existingType.name } ${ container } given ${ extraType.name }`, async () => {
-				const pageid = '123';
-				const page = { pageid };
-				const response = { query: { pages: [ page ] } };
-				const expectedParams = { action: 'query', pageids: pageid };
-				const session = singleGetSession( expectedParams, response );
-				const inputPageId = extraType( pageid );
-				const inputParams = params( existingType( pageid ) );
-				expect( await queryPartialPageByPageId( session, inputPageId, inputParams ) )
-					.to.equal( page );
-				expect( inputParams, 'params modified' )
-					.to.eql( params( existingType( pageid ) ) );
+		it( 'does not modify response objects and shares unchanged values', async () => {
+			const title = 'Title';
+			const pageA = {
+				title,
+				pageprops: { a: 'a' },
+				categories: [ { ns: 14, title: 'Category:A' } ],
+				contributors: [ { userid: 1 } ],
+			};
+			const pageB = {
+				title,
+				pageprops: { a: 'a' },
+				contributors: [ { userid: 2 } ],
+			};
+			const session = sequentialGetSession( [
+				{
+					expectedParams: { action: 'query', titles: title },
+					response: { query: { pages: [ pageA ] }, continue: { c: 'c' } },
+				},
+				{
+					expectedParams: { action: 'query', titles: title, c: 'c' },
+					response: { query: { pages: [ pageB ] }, batchcomplete: true },
+				},
+			] );
+			const page = await queryFullPageByTitle( session, title, {}, {
+				'm3api-query/immutable': true,
 			} );
 
-			it( `adds to existing other page ID ${ existingType.name } ${ container } given ${ extraType.name }`, async () => {
-				const pageid = '123';
-				const page = { pageid };
-				const otherPageId = '456';
-				const otherPage = { pageid: otherPageId };
-				const response = { query: { pages: [ page, otherPage ] } };
-				const expectedParams = { action: 'query', pageids: `${ otherPageId }|${ pageid }` };
-				const session = singleGetSession( expectedParams, response );
-				const inputPageId = extraType( pageid );
-				const inputParams = params( existingType( otherPageId ) );
-				expect( await queryPartialPageByPageId( session, inputPageId, inputParams ) )
-					.to.equal( page );
-				expect( inputParams, 'params modified' )
-					.to.eql( params( existingType( otherPageId ) ) );
+			expect( page ).to.eql( {
+				title,
+				pageprops: { a: 'a' },
+				categories: [ { ns: 14, title: 'Category:A' } ],
+				contributors: [ { userid: 1 }, { userid: 2 } ],
 			} );
+			expect( pageA.contributors ).to.eql( [ { userid: 1 } ] );
+			expect( pageA.categories ).to.be.frozen; // frozen in place, not copied
+			expect( pageA.categories[ 0 ] ).to.be.frozen;
+			expect( page.pageprops ).to.equal( pageA.pageprops );
+			expect( page.categories ).to.equal( pageA.categories );
+			expect( page.contributors[ 1 ] ).to.equal( pageB.contributors[ 0 ] );
+			expect( page ).to.be.frozen;
+			expect( page.pageprops ).to.be.frozen;
+			expect( page.contributors ).to.be.frozen;
+			expect( page.contributors[ 0 ] ).to.be.frozen;
+		} );
 
-		}
+		it( 'returns new pages from queryFullPages()', async () => {
+			const pageA = { pageid: 1, a: { b: 1 } };
+			const pageB = { pageid: 1, a: { c: 2 } };
+			const session = sequentialGetSession( [
+				{
+					expectedParams: { action: 'query', generator: 'ap' },
+					response: { query: { pages: [ pageA ] }, continue: { c: 'c' } },
+				},
+				{
+					expectedParams: { action: 'query', generator: 'ap', c: 'c' },
+					response: { query: { pages: [ pageB ] }, batchcomplete: true },
+				},
+			] );
+			const { value: page } = await queryFullPages( session, {
+				action: 'query',
+				generator: 'ap',
+			}, {
+				'm3api-query/immutable': true,
+			} ).next();
 
-		// precision tests
-		// (as numbers, 123456789123456789 = 123456789123456788 = 123456789123456780)
+			expect( page ).to.eql( { pageid: 1, a: { b: 1, c: 2 } } );
+			expect( page ).not.to.equal( pageA );
+			expect( pageA ).to.eql( { pageid: 1, a: { b: 1 } } );
+			expect( page ).to.be.frozen;
+			expect( page.a ).to.be.frozen;
+		} );
 
-		for ( const [ existing, extra ] of [
-			[ '123456789123456789', '123456789123456789' ],
-			[ 123456789123456780, '123456789123456780' ],
-		] ) {
+		it( 'keeps unchanged pages', async () => {
+			const page = { pageid: 1, a: { b: 1 }, c: [ 1 ] };
+			const session = sequentialGetSession( [
+				{
+					expectedParams: { action: 'query', generator: 'ap' },
+					response: { query: { pages: [ page ] }, continue: { c: 'c' } },
+				},
+				{
+					expectedParams: { action: 'query', generator: 'ap', c: 'c' },
+					response: { query: { pages: [
+						{ pageid: 1, a: { b: 1 }, c: [] },
+					] }, batchcomplete: true },
+				},
+			] );
+			const { value } = await queryFullPages( session, {
+				action: 'query',
+				generator: 'ap',
+			}, {
+				'm3api-query/immutable': true,
+			} ).next();
 
-			it( `does not duplicate existing page ID ${ existing } ${ typeof existing } ${ container } given ${ extra } ${ typeof extra }`, async () => {
-				const page = { pageid: existing };
-				const response = { query: { pages: [ page ] } };
-				const expectedParams = { action: 'query', pageids: String( existing ) };
-				const session = singleGetSession( expectedParams, response );
-				const inputParams = params( existing );
-				expect( await queryPartialPageByPageId( session, extra, inputParams ) )
-					.to.equal( page );
-				expect( inputParams, 'params modified' )
-					.to.eql( params( existing ) );
+			expect( value ).to.equal( page );
+			expect( value ).to.be.frozen;
+		} );
+
+		it( 'attaches merge conflicts', async () => {
+			const title = 'Title';
+			const session = sequentialGetSession( [
+				{
+					expectedParams: { action: 'query', titles: title },
+					response: { query: { pages: [ { title, new: true } ] }, continue: { c: 'c' } },
+				},
+				{
+					expectedParams: { action: 'query', titles: title, c: 'c' },
+					response: { query: { pages: [ { title, new: false } ] }, batchcomplete: true },
+				},
+			] );
+			const page = await queryFullPageByTitle( session, title, {}, {
+				'm3api-query/immutable': true,
+				'm3api-query/collectMergeConflicts': true,
+			} );
+			expect( page ).to.eql( {
+				title,
+				new: true,
+				[ mergeConflicts ]: [ { path: 'new', base: true, incremental: false } ],
 			} );
+			expect( page ).to.be.frozen;
+			expect( page[ mergeConflicts ] ).to.be.frozen;
+		} );
 
-		}
+	} );
 
-		for ( const [ existing, extra ] of [
-			[ '123456789123456789', '123456789123456788' ],
-			[ '123456789123456789', 123456789123456780 ],
-			[ 123456789123456780, '123456789123456789' ],
-		] ) {
+	describe( 'm3api-query/attachPageOfRevision', () => {
 
-			it( `adds to existing other page ID ${ existing } ${ typeof existing } ${ container } given ${ extra } ${ typeof extra }`, async () => {
+		it( 'attaches the merged page to nested revisions', async () => {
+			const title = 'Title';
+			const revisionA = { revid: 1 };
+			const revisionB = { revid: 2 };
+			const session = sequentialGetSession( [
+				{
+					expectedParams: { action: 'query', titles: title, prop: 'revisions' },
+					response: {
+						query: { pages: [ { title, revisions: [ revisionA ] } ] },
+						continue: { c: 'c' },
+					},
+				},
+				{
+					expectedParams: { action: 'query', titles: title, prop: 'revisions', c: 'c' },
+					response: {
+						query: { pages: [ { title, pageid: 1, revisions: [ revisionB ] } ] },
+						batchcomplete: true,
+					},
+				},
+			] );
+			const page = await queryFullPageByTitle( session, title, {
+				prop: 'revisions',
+			}, {
+				'm3api-query/attachPageOfRevision': true,
+			} );
+
+			expect( page ).to.eql( {
+				title,
+				pageid: 1,
+				revisions: [ { revid: 1 }, { revid: 2 } ],
+			} );
+			for ( const revision of page.revisions ) {
+				expect( revision[ pageOfRevision ] ).to.eql( { title, pageid: 1 } );
+			}
+			expect( page.revisions[ 0 ][ pageOfRevision ] )
+				.to.equal( page.revisions[ 1 ][ pageOfRevision ] );
+			expect( revisionA ).not.to.have.property( pageOfRevision );
+		} );
+
+		it( 'does not attach the page by default', async () => {
+			const title = 'Title';
+			const session = singleGetSession( { action: 'query', titles: title }, {
+				query: { pages: [ { title, revisions: [ { revid: 1 } ] } ] },
+				batchcomplete: true,
+			} );
+			const page = await queryFullPageByTitle( session, title );
+
+			expect( page.revisions[ 0 ] ).not.to.have.property( pageOfRevision );
+		} );
+
+		it( 'freezes the attached page with m3api-query/immutable', async () => {
+			const title = 'Title';
+			const session = singleGetSession( { action: 'query', titles: title }, {
+				query: { pages: [ { title, revisions: [ { revid: 1 } ] } ] },
+				batchcomplete: true,
+			} );
+			const page = await queryFullPageByTitle( session, title, {}, {
+				'm3api-query/attachPageOfRevision': true,
+				'm3api-query/immutable': true,
+			} );
+
+			expect( page ).to.be.frozen;
+			expect( page.revisions[ 0 ] ).to.be.frozen;
+			expect( page.revisions[ 0 ][ pageOfRevision ] ).to.eql( { title } );
+			expect( page.revisions[ 0 ][ pageOfRevision ] ).to.be.frozen;
+		} );
+
+		it( 'attaches the page in queryFullPages()', async () => {
+			const session = singleGetSession( { action: 'query', generator: 'ap' }, {
+				query: { pages: [
+					{ pageid: 1, revisions: [ { revid: 1 } ] },
+					{ pageid: 2 },
+				] },
+				batchcomplete: true,
+			} );
+			const pages = [];
+			for await ( const page of queryFullPages( session, {
+				action: 'query',
+				generator: 'ap',
+			}, {
+				'm3api-query/attachPageOfRevision': true,
+			} ) ) {
+				pages.push( page );
+			}
+
+			expect( pages ).to.eql( [
+				{ pageid: 1, revisions: [ { revid: 1 } ] },
+				{ pageid: 2 },
+			] );
+			expect( pages[ 0 ].revisions[ 0 ][ pageOfRevision ] ).to.eql( { pageid: 1 } );
+		} );
+
+		it( 'attaches the page in queryFullPagesByTitles()', async () => {
+			const session = singleGetSession( { action: 'query', titles: 'A|B' }, {
+				query: { pages: [
+					{ title: 'A', revisions: [ { revid: 1 } ] },
+					{ title: 'B', missing: true },
+				] },
+				batchcomplete: true,
+			} );
+			const pages = await queryFullPagesByTitles( session, [ 'A', 'B' ], {}, {
+				'm3api-query/attachPageOfRevision': true,
+			} );
+
+			expect( pages.get( 'A' ).revisions[ 0 ][ pageOfRevision ] ).to.eql( { title: 'A' } );
+			expect( pages.get( 'B' ) ).to.eql( { title: 'B', missing: true } );
+		} );
+
+	} );
+
+	describe( 'm3api-query/parallelProps', () => {
+
+		it( 'splits props into concurrent request chains and merges them', async () => {
+			const title = 'Title';
+			let pending = 0, maxPending = 0;
+			const session = callbackGetSession( async ( params ) => {
+				pending++;
+				maxPending = Math.max( pending, maxPending );
+				await new Promise( ( resolve ) => {
+					setTimeout( resolve );
+				} );
+				pending--;
+				expect( params.titles ).to.equal( title );
+				expect( params.cllimit ).to.equal( 'max' );
+				switch ( `${ params.prop }|${ params.clcontinue || params.plcontinue || '' }` ) {
+					case 'categories|':
+						return {
+							query: { pages: [ { title, categories: [ { title: 'Category:1' } ] } ] },
+							continue: { clcontinue: '2' },
+						};
+					case 'categories|2':
+						return {
+							query: { pages: [ { title, categories: [ { title: 'Category:2' } ] } ] },
+							batchcomplete: true,
+						};
+					case 'links|':
+						return {
+							query: { pages: [ { title, links: [ { title: 'Link' } ] } ] },
+							warnings: { main: { warnings: 'Unrecognized parameter: cllimit.' } },
+							batchcomplete: true,
+						};
+					case 'info|':
+						return {
+							query: { pages: [ { title, length: 123 } ] },
+							batchcomplete: true,
+						};
+					default:
+						throw new Error( `Unexpected params: ${ JSON.stringify( params ) }` );
+				}
+			} );
+
+			const page = await queryFullPageByTitle( session, title, {
+				prop: set( 'categories', 'links', 'info' ),
+				cllimit: 'max',
+			}, {
+				'm3api-query/parallelProps': 2,
+			} );
+
+			expect( page ).to.eql( {
+				title,
+				categories: [ { title: 'Category:1' }, { title: 'Category:2' } ],
+				links: [ { title: 'Link' } ],
+				length: 123,
+			} );
+			expect( maxPending ).to.equal( 2 );
+		} );
+
+		it( 'does not drop other warnings', async () => {
+			const title = 'Title';
+			const warnings = [];
+			const session = callbackGetSession( ( params ) => ( {
+				query: { pages: [ { title, [ params.prop ]: [] } ] },
+				warnings: { [ params.prop ]: { warnings: 'Some other warning.' } },
+				batchcomplete: true,
+			} ) );
+
+			await queryFullPageByTitle( session, title, {
+				prop: [ 'categories', 'links' ],
+			}, {
+				'm3api-query/parallelProps': 2,
+				warn: ( warning ) => warnings.push( warning ),
+			} );
+
+			expect( warnings ).to.have.lengthOf( 2 );
+		} );
+
+	} );
+
+} );
+
+describe( 'mergeStrategies', () => {
+
+	for ( const [ strategy, expected ] of [
+		[ 'base', 2 ],
+		[ 'first', 2 ],
+		[ 'incremental', 1 ],
+		[ 'last', 1 ],
+		[ 'max', 2 ],
+		[ 'min', 1 ],
+	] ) {
+		it( strategy, () => {
+			const merge = mergeStrategies( { length: strategy } );
+			expect( merge( 2, 1, 'length', {}, 'length' ) ).to.equal( expected );
+		} );
+	}
+
+	it( 'error', () => {
+		const merge = mergeStrategies( { length: 'error' } );
+		expect( () => merge( 2, 1, 'length', {}, 'length' ) )
+			.to.throw( 'Cannot merge number (2) with number (1)' );
+	} );
+
+	it( 'max with timestamps', () => {
+		const merge = mergeStrategies( { touched: 'max' } );
+		expect( merge( '2020-01-02T00:00:00Z', '2020-01-01T00:00:00Z', 'touched' ) )
+			.to.equal( '2020-01-02T00:00:00Z' );
+	} );
+
+	it( 'custom callback', () => {
+		const merge = mergeStrategies( { 'a.b': ( base, incremental ) => base + incremental } );
+		expect( merge( 1, 2, 'a.b', {}, 'b' ) ).to.equal( 3 );
+	} );
+
+	it( 'matches * against a single segment', () => {
+		const merge = mergeStrategies( { 'pageprops.*': 'last' } );
+		expect( merge( 'a', 'b', 'pageprops.wikibase_item' ) ).to.equal( 'b' );
+		expect( merge( 'a', 'b', 'pageprops' ) ).to.equal( 'a' );
+		expect( () => merge( true, false, 'pageprops.a.b' ) ).to.throw( 'pageprops.a.b' );
+	} );
+
+	it( 'matches ** against several segments', () => {
+		const merge = mergeStrategies( { 'a.**': 'last' } );
+		expect( merge( true, false, 'a.b.c' ) ).to.be.false;
+		expect( merge( true, false, 'a.b' ) ).to.be.false;
+		expect( () => merge( true, false, 'b.a' ) ).to.throw( 'b.a' );
+	} );
+
+	it( 'does not treat other characters specially', () => {
+		const merge = mergeStrategies( { 'a+b': 'error' } );
+		expect( merge( 1, 2, 'aab' ) ).to.equal( 1 );
+	} );
+
+	it( 'uses the first matching pattern', () => {
+		const merge = mergeStrategies( { 'a.b': 'min', 'a.*': 'max' } );
+		expect( merge( 1, 2, 'a.b' ) ).to.equal( 1 );
+		expect( merge( 1, 2, 'a.c' ) ).to.equal( 2 );
+	} );
+
+	it( 'falls back to mergeValues', () => {
+		const merge = mergeStrategies( { touched: 'max' } );
+		expect( merge( 1, 2, 'length' ) ).to.equal( mergeValues( 1, 2, 'length' ) );
+		expect( () => merge( true, false, 'redirect' ) ).to.throw( 'redirect' );
+	} );
+
+	it( 'falls back to custom fallback', () => {
+		const merge = mergeStrategies( { touched: 'max' }, () => 'fallback' );
+		expect( merge( 1, 2, 'length' ) ).to.equal( 'fallback' );
+	} );
+
+	it( 'rejects unknown strategies', () => {
+		expect( () => mergeStrategies( { touched: 'latest' } ) )
+			.to.throw( RangeError, 'latest' );
+	} );
+
+	it( 'works as m3api-query/mergeValues', async () => {
+		const title = 'Title';
+		const session = sequentialGetSession( [
+			{
+				expectedParams: { action: 'query', titles: title },
+				response: { query: { pages: [ { title, length: 1 } ] }, continue: { c: 'c' } },
+			},
+			{
+				expectedParams: { action: 'query', titles: title, c: 'c' },
+				response: { query: { pages: [ { title, length: 2 } ] }, batchcomplete: true },
+			},
+		] );
+		const page = await queryFullPageByTitle( session, title, {}, {
+			'm3api-query/mergeValues': mergeStrategies( { length: 'incremental' } ),
+		} );
+		expect( page ).to.eql( { title, length: 2 } );
+	} );
+
+} );
+
+describe( 'makeMergeArrays', () => {
+
+	it( 'uses the default keys', () => {
+		const merge = makeMergeArrays();
+		expect( merge( [ { revid: 1 } ], [ { revid: 1 } ], 'revisions' ) )
+			.to.eql( [ { revid: 1 } ] );
+		expect( mergeArrays( [ { revid: 1 } ], [ { revid: 1 } ], 'revisions' ) )
+			.to.eql( [ { revid: 1 } ] );
+	} );
+
+	it( 'adds custom keys', () => {
+		const merge = makeMergeArrays( { keys: {
+			'pageprops.list': ( { id } ) => id,
+		} } );
+		expect( merge( [ { id: 1, a: 1 } ], [ { id: 1, a: 2 }, { id: 2 } ], 'pageprops.list' ) )
+			.to.eql( [ { id: 1, a: 1 }, { id: 2 } ] );
+		expect( merge( [ { revid: 1 } ], [ { revid: 1 } ], 'revisions' ) )
+			.to.eql( [ { revid: 1 } ] );
+	} );
+
+	it( 'disables default keys', () => {
+		const merge = makeMergeArrays( { keys: { revisions: null } } );
+		expect( merge( [ { revid: 1 } ], [ { revid: 1 } ], 'revisions' ) )
+			.to.eql( [ { revid: 1 }, { revid: 1 } ] );
+	} );
+
+	it( 'does not deduplicate elements without key', () => {
+		const merge = makeMergeArrays();
+		expect( merge( [ { ns: 0 } ], [ { ns: 0 } ], 'links' ) )
+			.to.eql( [ { ns: 0 }, { ns: 0 } ] );
+	} );
+
+	it( 'sorts merged arrays', () => {
+		const merge = makeMergeArrays( { compare: {
+			contributors: ( { userid: a }, { userid: b } ) => a - b,
+		} } );
+		expect( merge( [ { userid: 3 }, { userid: 1 } ], [ { userid: 2 } ], 'contributors' ) )
+			.to.eql( [ { userid: 1 }, { userid: 2 }, { userid: 3 } ] );
+		expect( merge( [ { revid: 3 } ], [ { revid: 2 } ], 'revisions' ) )
+			.to.eql( [ { revid: 3 }, { revid: 2 } ] );
+	} );
+
+} );
+
+describe( 'queryFullPagesByTitles', () => {
+
+	it( 'sends titles in chunks and follows continuation per chunk', async () => {
+		const session = sequentialGetSession( [
+			{
+				expectedParams: { action: 'query', titles: 'A|B', prop: 'l' },
+				response: { query: { pages: [
+					{ pageid: 1, title: 'A', links: [ { title: 'Link 1' } ] },
+					{ pageid: 2, title: 'B' },
+				] }, continue: { plcontinue: '1|2' } },
+			},
+			{
+				expectedParams: { action: 'query', titles: 'A|B', prop: 'l', plcontinue: '1|2' },
+				response: { query: { pages: [
+					{ pageid: 1, title: 'A', links: [ { title: 'Link 2' } ] },
+					{ pageid: 2, title: 'B' },
+				] }, batchcomplete: true },
+			},
+			{
+				expectedParams: { action: 'query', titles: 'C', prop: 'l' },
+				response: { query: { pages: [
+					{ pageid: 3, title: 'C', links: [ { title: 'Link 3' } ] },
+				] }, batchcomplete: true },
+			},
+		] );
+
+		const pages = await queryFullPagesByTitles( session, [ 'A', 'B', 'C' ], {
+			prop: set( 'l' ), // “links”, abbreviated for shorter (one-line) expectedParams above
+		}, {
+			'm3api-query/chunkSize': 2,
+		} );
+
+		expect( [ ...pages ] ).to.eql( [
+			[ 'A', { pageid: 1, title: 'A', links: [ { title: 'Link 1' }, { title: 'Link 2' } ] } ],
+			[ 'B', { pageid: 2, title: 'B' } ],
+			[ 'C', { pageid: 3, title: 'C', links: [ { title: 'Link 3' } ] } ],
+		] );
+	} );
+
+	it( 'keys pages by input title', async () => {
+		const response = { query: {
+			normalized: [ { from: 'a', to: 'A' } ],
+			redirects: [ { from: 'R', to: 'A' } ],
+			pages: [
+				{ pageid: 1, title: 'A' },
+				{ title: 'M', missing: true },
+			],
+		}, batchcomplete: true };
+		const session = singleGetSession( { action: 'query', titles: 'a|R|M|X', redirects: '' }, response );
+
+		const pages = await queryFullPagesByTitles( session, [ 'a', 'R', 'M', 'X', 'a' ], {
+			redirects: true,
+		} );
+
+		expect( [ ...pages.keys() ] ).to.eql( [ 'a', 'R', 'M', 'X' ] );
+		expect( pages.get( 'a' ) ).to.eql( { pageid: 1, title: 'A' } );
+		expect( pages.get( 'R' ) ).to.equal( pages.get( 'a' ) );
+		expect( pages.get( 'M' ) ).to.eql( { title: 'M', missing: true } );
+		expect( pages.get( 'X' ) ).to.be.null;
+	} );
+
+	it( 'makes no requests for no titles', async () => {
+		const session = new BaseTestSession();
+		const pages = await queryFullPagesByTitles( session, [] );
+		expect( pages.size ).to.equal( 0 );
+	} );
+
+	it( 'disallows titles in params', async () => {
+		const session = new BaseTestSession();
+		await expect( queryFullPagesByTitles( session, [ 'A' ], { titles: 'B' } ) )
+			.to.be.rejectedWith( RangeError, 'titles' );
+	} );
+
+	it( 'disallows generator in params', async () => {
+		const session = new BaseTestSession();
+		await expect( queryFullPagesByTitles( session, [ 'A' ], { generator: 'allpages' } ) )
+			.to.be.rejectedWith( RangeError, 'generator' );
+	} );
+
+} );
+
+describe( 'queryPartialPageByPageId', () => {
+
+	// subset of the queryPartialPageByTitle tests
+
+	it( 'adds default params and returns page', async () => {
+		const pageid = '123';
+		const page = { pageid };
+		const response = { query: { pages: [ page ] } };
+		const expectedParams = { action: 'query', pageids: pageid };
+		const session = singleGetSession( expectedParams, response );
+		expect( await queryPartialPageByPageId( session, pageid ) ).to.equal( page );
+	} );
+
+	it( 'disallows generator in params', async () => {
+		const pageid = '123';
+		const session = new BaseTestSession();
+		await expect( queryPartialPageByPageId( session, pageid, { generator: 'links' } ) )
+			.to.be.rejected;
+	} );
+
+	for ( const [ container, params ] of [
+		[ 'Set', ( pageid ) => ( { pageids: set( pageid ) } ) ],
+		[ 'Array', ( pageid ) => ( { pageids: [ pageid ] } ) ],
+		[ '(unwrapped)', ( pageid ) => ( { pageids: pageid } ) ],
+	] ) {
+
+		for ( const [ existingType, extraType ] of [
+			[ Number, Number ],
+			[ Number, String ],
+			[ String, Number ],
+			[ String, String ],
+		] ) {
+
+			it( `does not duplicate existing page ID ${ existingType.name } ${ container } given ${ extraType.name }`, async () => {
+				const pageid = '123';
+				const page = { pageid };
+				const response = { query: { pages: [ page ] } };
+				const expectedParams = { action: 'query', pageids: pageid };
+				const session = singleGetSession( expectedParams, response );
+				const inputPageId = extraType( pageid );
+				const inputParams = params( existingType( pageid ) );
+				expect( await queryPartialPageByPageId( session, inputPageId, inputParams ) )
+					.to.equal( page );
+				expect( inputParams, 'params modified' )
+					.to.eql( params( existingType( pageid ) ) );
+			} );
+
+			it( `adds to existing other page ID ${ existingType.name } ${ container } given ${ extraType.name }`, async () => {
+				const pageid = '123';
+				const page = { pageid };
+				const otherPageId = '456';
+				const otherPage = { pageid: otherPageId };
+				const response = { query: { pages: [ page, otherPage ] } };
+				const expectedParams = { action: 'query', pageids: `${ otherPageId }|${ pageid }` };
+				const session = singleGetSession( expectedParams, response );
+				const inputPageId = extraType( pageid );
+				const inputParams = params( existingType( otherPageId ) );
+				expect( await queryPartialPageByPageId( session, inputPageId, inputParams ) )
+					.to.equal( page );
+				expect( inputParams, 'params modified' )
+					.to.eql( params( existingType( otherPageId ) ) );
+			} );
+
+		}
+
+		// precision tests
+		// (as numbers, 123456789123456789 = 123456789123456788 = 123456789123456780)
+
+		for ( const [ existing, extra ] of [
+			[ '123456789123456789', '123456789123456789' ],
+			[ 123456789123456780, '123456789123456780' ],
+		] ) {
+
+			it( `does not duplicate existing page ID ${ existing } ${ typeof existing } ${ container } given ${ extra } ${ typeof extra }`, async () => {
+				const page = { pageid: existing };
+				const response = { query: { pages: [ page ] } };
+				const expectedParams = { action: 'query', pageids: String( existing ) };
+				const session = singleGetSession( expectedParams, response );
+				const inputParams = params( existing );
+				expect( await queryPartialPageByPageId( session, extra, inputParams ) )
+					.to.equal( page );
+				expect( inputParams, 'params modified' )
+					.to.eql( params( existing ) );
+			} );
+
+		}
+
+		for ( const [ existing, extra ] of [
+			[ '123456789123456789', '123456789123456788' ],
+			[ '123456789123456789', 123456789123456780 ],
+			[ 123456789123456780, '123456789123456789' ],
+		] ) {
+
+			it( `adds to existing other page ID ${ existing } ${ typeof existing } ${ container } given ${ extra } ${ typeof extra }`, async () => {
 				const page = { pageid: String( extra ) };
 				const otherPage = { pageid: String( existing ) };
 				const response = { query: { pages: [ page, otherPage ] } };
@@ -1101,7 +1943,64 @@ describe( 'queryFullPageByPageId', () => {
 
 } );
 
-describe( 'queryPotentialRevisionByRevisionId', () => {
+describe( 'queryFullPagesByPageIds', () => {
+
+	it( 'sends page IDs in chunks and returns pages in input order', async () => {
+		const session = sequentialGetSession( [
+			{
+				expectedParams: { action: 'query', pageids: '3|1', prop: 'c' },
+				response: { query: { pages: [
+					{ pageid: 1, title: 'A', categories: [ { title: 'Category:1' } ] },
+					{ pageid: 3, title: 'C' },
+				] }, continue: { clcontinue: '1|2' } },
+			},
+			{
+				expectedParams: { action: 'query', pageids: '3|1', prop: 'c', clcontinue: '1|2' },
+				response: { query: { pages: [
+					{ pageid: 1, title: 'A', categories: [ { title: 'Category:2' } ] },
+					{ pageid: 3, title: 'C' },
+				] }, batchcomplete: true },
+			},
+			{
+				expectedParams: { action: 'query', pageids: '2', prop: 'c' },
+				response: { query: { pages: [
+					{ pageid: 2, missing: true },
+				] }, batchcomplete: true },
+			},
+		] );
+
+		const pages = await queryFullPagesByPageIds( session, [ 3, '1', 2, 3 ], {
+			prop: set( 'c' ), // “categories”, abbreviated for shorter (one-line) expectedParams above
+		}, {
+			'm3api-query/chunkSize': 2,
+		} );
+
+		expect( [ ...pages ] ).to.eql( [
+			[ 3, { pageid: 3, title: 'C' } ],
+			[ '1', { pageid: 1, title: 'A', categories: [ { title: 'Category:1' }, { title: 'Category:2' } ] } ],
+			[ 2, { pageid: 2, missing: true } ],
+		] );
+	} );
+
+	it( 'returns null for page IDs not in the response', async () => {
+		const response = { query: { pages: { 1: { pageid: 1 } } }, batchcomplete: '' };
+		const session = singleGetSession( { action: 'query', pageids: '1|2' }, response );
+
+		const pages = await queryFullPagesByPageIds( session, new Set( [ 1, 2 ] ) );
+
+		expect( pages.get( 1 ) ).to.eql( { pageid: 1 } );
+		expect( pages.get( 2 ) ).to.be.null;
+	} );
+
+	it( 'disallows pageids in params', async () => {
+		const session = new BaseTestSession();
+		await expect( queryFullPagesByPageIds( session, [ 1 ], { pageids: 2 } ) )
+			.to.be.rejectedWith( RangeError, 'pageids' );
+	} );
+
+} );
+
+describe( 'queryPotentialRevisionByRevisionId', () => {
 
 	it( 'adds default params and returns revision with page attached', async () => {
 		const revisionId = '123';
@@ -1346,6 +2245,191 @@ describe( 'queryFullRevisionByRevisionId', () => {
 
 } );
 
+describe( 'queryFullDeletedRevisionByRevisionId', () => {
+
+	it( 'returns deleted revision with page attached', async () => {
+		const revisionId = '123';
+		const revision = { revid: 123, texthidden: false };
+		const session = sequentialGetSession( [
+			{
+				expectedParams: { action: 'query', revids: revisionId, prop: 'deletedrevisions' },
+				response: {
+					query: { pages: [ { pageid: 1, deletedrevisions: [ { revid: 456 } ] } ] },
+					continue: { drvcontinue: 'B' },
+				},
+			},
+			{
+				expectedParams: {
+					action: 'query',
+					revids: revisionId,
+					prop: 'deletedrevisions',
+					drvcontinue: 'B',
+				},
+				response: {
+					query: { pages: [ { pageid: 2, deletedrevisions: [ revision ] } ] },
+					batchcomplete: true,
+				},
+			},
+		] );
+
+		const returnedRevision = await queryFullDeletedRevisionByRevisionId( session, revisionId );
+		expect( returnedRevision ).to.eql( revision );
+		expect( returnedRevision[ pageOfRevision ] ).to.eql( { pageid: 2 } );
+	} );
+
+	it( 'returns missing revision for non-deleted revision', async () => {
+		const revisionId = 123;
+		const session = singleGetSession( {
+			action: 'query',
+			revids: '123',
+			prop: 'revisions|deletedrevisions',
+		}, {
+			query: { pages: [ {
+				pageid: 1,
+				revisions: [ { revid: 123 } ],
+			} ] },
+			batchcomplete: true,
+		} );
+
+		const revision = await queryFullDeletedRevisionByRevisionId( session, revisionId, {
+			prop: [ 'revisions' ],
+		} );
+		expect( revision ).to.eql( { revid: 123, missing: true } );
+		expect( revision ).not.to.have.property( pageOfRevision );
+	} );
+
+	it( 'returns missing revision for non-deleted revision after continuation', async () => {
+		const session = sequentialGetSession( [
+			{
+				expectedParams: { action: 'query', revids: '123', prop: 'deletedrevisions' },
+				response: {
+					query: { pages: { 1: { pageid: 1 } } },
+					continue: { continue: 'B' },
+				},
+			},
+			{
+				expectedParams: {
+					action: 'query',
+					revids: '123',
+					prop: 'deletedrevisions',
+					continue: 'B',
+				},
+				response: {
+					query: { pages: { 1: { pageid: 1 } } },
+					batchcomplete: '',
+				},
+			},
+		] );
+
+		expect( await queryFullDeletedRevisionByRevisionId( session, '123' ) )
+			.to.eql( { revid: 123, missing: '' } );
+	} );
+
+	it( 'throws if the API returns neither page nor revision', async () => {
+		const session = singleGetSession( {
+			action: 'query',
+			revids: '123',
+			prop: 'deletedrevisions',
+		}, {
+			batchcomplete: true,
+		} );
+
+		await expect( queryFullDeletedRevisionByRevisionId( session, 123 ) )
+			.to.be.rejectedWith( 'API finished continuation without returning the revision' );
+	} );
+
+	it( 'returns missing revision', async () => {
+		const session = singleGetSession( {
+			action: 'query',
+			revids: '123',
+			prop: 'deletedrevisions',
+		}, {
+			query: { badrevids: { 123: { revid: 123 } } },
+			batchcomplete: true,
+		} );
+
+		expect( await queryFullDeletedRevisionByRevisionId( session, 123 ) )
+			.to.eql( { revid: 123, missing: true } );
+	} );
+
+} );
+
+describe( 'queryFullRevisionsByRevisionIds', () => {
+
+	it( 'sends revision IDs in chunks and yields revisions in input order', async () => {
+		const session = sequentialGetSession( [
+			{
+				expectedParams: { action: 'query', revids: '31|11', prop: 'revisions' },
+				response: { query: { pages: [
+					{ pageid: 1, revisions: [ { revid: 11 } ] },
+				] }, continue: { rvcontinue: '31' } },
+			},
+			{
+				expectedParams: { action: 'query', revids: '31|11', prop: 'revisions', rvcontinue: '31' },
+				response: { query: { pages: [
+					{ pageid: 3, revisions: [ { revid: 31 } ] },
+				] }, batchcomplete: true },
+			},
+			{
+				expectedParams: { action: 'query', revids: '21|99', prop: 'revisions' },
+				response: { query: {
+					badrevids: { 99: { revid: 99, missing: true } },
+					pages: [ { pageid: 2, revisions: [ { revid: 21 } ] } ],
+				}, batchcomplete: true },
+			},
+		] );
+
+		const revisions = [];
+		for await ( const revision of queryFullRevisionsByRevisionIds( session, [ 31, '11', 21, 99, 31 ], {}, {
+			'm3api-query/chunkSize': 2,
+		} ) ) {
+			revisions.push( revision );
+		}
+
+		expect( revisions ).to.eql( [
+			{ revid: 31 },
+			{ revid: 11 },
+			{ revid: 21 },
+			{ revid: 99, missing: true },
+		] );
+		expect( revisions[ 0 ][ pageOfRevision ] ).to.eql( { pageid: 3 } );
+		expect( revisions[ 1 ][ pageOfRevision ] ).to.eql( { pageid: 1 } );
+		expect( revisions[ 2 ][ pageOfRevision ] ).to.eql( { pageid: 2 } );
+		expect( revisions[ 3 ] ).not.to.have.property( pageOfRevision );
+	} );
+
+	it( 'adds missing key to bad revisions, formatversion=1', async () => {
+		const response = { query: {
+			badrevids: { 99: { revid: 99 } },
+		}, batchcomplete: '' };
+		const session = singleGetSession( { action: 'query', revids: '99', prop: 'revisions' }, response );
+
+		const { value } = await queryFullRevisionsByRevisionIds( session, [ 99 ] ).next();
+
+		expect( value ).to.eql( { revid: 99, missing: '' } );
+	} );
+
+	it( 'drops truncated result warning', async () => {
+		const response = {
+			query: { pages: [ { revisions: [ { revid: 123 } ] } ] },
+			warnings: [ { code: 'truncatedresult' } ],
+			batchcomplete: true,
+		};
+		const session = singleGetSession( { action: 'query', revids: '123', prop: 'revisions' }, response );
+
+		const { value } = await queryFullRevisionsByRevisionIds( session, [ 123 ] ).next();
+
+		expect( value ).to.eql( { revid: 123 } );
+	} );
+
+	it( 'disallows revids in params', async () => {
+		const session = new BaseTestSession();
+		await expect( queryFullRevisionsByRevisionIds( session, [ 1 ], { revids: 2 } ).next() )
+			.to.be.rejectedWith( RangeError, 'revids' );
+	} );
+
+} );
+
 describe( 'maxEmptyResponses', () => {
 
 	it( 'maxEmptyResponses( Infinity ) overrides maxEmptyResponses()', () => {
@@ -1359,135 +2443,528 @@ describe( 'maxEmptyResponses', () => {
 		expect( options ).to.eql( {
 			'm3api-query/handlePages': null,
 			'm3api-query/handleRevisions': null,
+			'm3api-query/handleListItems': null,
 		} );
 	} );
 
-	// the rest of maxEmptyResponses() is tested in queryFullPages() + queryFullRevisions() below
+	// the rest of maxEmptyResponses() is tested in
+	// queryFullPages() + queryFullRevisions() + queryFullList() below
 
 } );
 
-describe( 'queryFullPages', () => {
+describe( 'maxRequests', () => {
 
-	it( 'follows continuation and returns full pages', async () => {
+	it( 'maxRequests( Infinity ) overrides maxRequests()', () => {
+		const defaultOptions = {
+			...maxRequests( 10 ),
+		};
+		const options = {
+			...defaultOptions,
+			...maxRequests( Infinity ),
+		};
+		expect( options ).to.eql( {
+			'm3api-query/handleRequest': null,
+		} );
+	} );
+
+	it( 'allows limit requests in queryFullPageByTitle()', async () => {
+		const title = 'Title';
 		const session = sequentialGetSession( [
 			{
-				expectedParams: { action: 'query', generator: 'ap', prop: 'i|d' },
-				response: { query: { pages: [
-					{ pageid: 1, contentmodel: 'wikitext', description: 'Page 1' },
-					{ pageid: 2, contentmodel: 'wikitext' },
-				] }, continue: { ic: '-', dc: '2' } },
+				expectedParams: { action: 'query', titles: title },
+				response: { query: { pages: [ { title } ] }, continue: { continue: 'c' } },
 			},
 			{
-				expectedParams: { action: 'query', generator: 'ap', prop: 'i|d', ic: '-', dc: '2' },
-				response: { query: { pages: [
-					{ pageid: 1 },
-					{ pageid: 2, description: 'Page 2' },
-				] }, continue: { gapc: '3' }, batchcomplete: true },
+				expectedParams: { action: 'query', titles: title, continue: 'c' },
+				response: { query: { pages: [ { title } ] }, batchcomplete: true },
 			},
+		] );
+		expect( await queryFullPageByTitle( session, title, {}, {
+			...maxRequests( 2 ),
+		} ) ).to.eql( { title } );
+	} );
+
+	it( 'stops at limit + 1 requests in queryFullPageByTitle()', async () => {
+		const title = 'Title';
+		const session = sequentialGetSession( [
 			{
-				expectedParams: { action: 'query', generator: 'ap', prop: 'i|d', gapc: '3' },
-				response: { query: { pages: [
-					{ pageid: 3, contentmodel: 'wikitext', description: 'Page 3' },
-					{ pageid: 4 },
-				] }, continue: { gapc: '3', ic: '4', dc: '4' } },
+				expectedParams: { action: 'query', titles: title },
+				response: { query: { pages: [ { title } ] }, continue: { continue: 'c1' } },
 			},
 			{
-				expectedParams: { action: 'query', generator: 'ap', prop: 'i|d', gapc: '3', ic: '4', dc: '4' },
-				response: { query: { pages: [
-					{ pageid: 3 },
-					{ pageid: 4, contentmodel: 'wikitext', description: 'Page 4' },
-				] }, batchcomplete: true },
+				expectedParams: { action: 'query', titles: title, continue: 'c1' },
+				response: { query: { pages: [ { title } ] }, continue: { continue: 'c2' } },
 			},
 		] );
-
-		let iteration = 0;
-		for await ( const page of queryFullPages( session, {
-			generator: 'ap', // “allpages”, abbreviated for shorter (one-line) expectedParams above
-			prop: [ 'i', 'd' ], // “info” and “description”, likewise abbreviated
-		} ) ) {
-			switch ( ++iteration ) {
-				case 1:
-					expect( page ).to.eql( {
-						pageid: 1,
-						contentmodel: 'wikitext',
-						description: 'Page 1',
-					} );
-					break;
-				case 2:
-					expect( page ).to.eql( {
-						pageid: 2,
-						contentmodel: 'wikitext',
-						description: 'Page 2',
-					} );
-					break;
-				case 3:
-					expect( page ).to.eql( {
-						pageid: 3,
-						contentmodel: 'wikitext',
-						description: 'Page 3',
-					} );
-					break;
-				case 4:
-					expect( page ).to.eql( {
-						pageid: 4,
-						contentmodel: 'wikitext',
-						description: 'Page 4',
-					} );
-					break;
-				default:
-					throw new Error( `Unexpected iteration #${ iteration }` );
-			}
+		let error;
+		try {
+			await queryFullPageByTitle( session, title, {}, {
+				...maxRequests( 2 ),
+			} );
+		} catch ( e ) {
+			error = e;
 		}
+		expect( error ).to.be.an.instanceof( TooManyRequestsError );
+		expect( error.limit ).to.equal( 2 );
+		expect( error.params ).to.eql( { action: 'query', titles: new Set( [ title ] ), continue: 'c2' } );
+	} );
 
-		expect( iteration ).to.equal( 4 );
+	it( 'counts requests across chunks in queryFullPagesByTitles()', async () => {
+		const session = sequentialGetSession( [
+			{
+				expectedParams: { action: 'query', titles: 'A' },
+				response: { query: { pages: [ { title: 'A' } ] }, batchcomplete: true },
+			},
+		] );
+		await expect( queryFullPagesByTitles( session, [ 'A', 'B' ], {}, {
+			'm3api-query/chunkSize': 1,
+			...maxRequests( 1 ),
+		} ) ).to.be.rejectedWith( TooManyRequestsError );
 	} );
 
-	it( 'distinguishes missing pages by title', async () => {
+	it( 'counts requests separately for each call', async () => {
+		const title = 'Title';
 		const session = sequentialGetSession( [
 			{
-				expectedParams: { action: 'query', generator: 's', s: '?' },
-				response: { query: { pages: [
-					{ pageid: 0, missing: true, title: 'A', extra: 'a' },
-					{ pageid: 0, missing: true, title: 'B' },
-				] }, continue: { so: '1' } },
+				expectedParams: { action: 'query', titles: title },
+				response: { query: { pages: [ { title } ] }, batchcomplete: true },
 			},
 			{
-				expectedParams: { action: 'query', generator: 's', s: '?', so: '1' },
-				response: { query: { pages: [
-					{ pageid: 0, missing: true, title: 'A' },
-					{ pageid: 0, missing: true, title: 'B', extra: 'b' },
-				] }, batchcomplete: true },
+				expectedParams: { action: 'query', titles: title },
+				response: { query: { pages: [ { title } ] }, batchcomplete: true },
 			},
 		] );
+		const options = { ...maxRequests( 1 ) };
+		expect( await queryFullPageByTitle( session, title, {}, options ) ).to.eql( { title } );
+		expect( await queryFullPageByTitle( session, title, {}, options ) ).to.eql( { title } );
+	} );
 
-		let iteration = 0;
-		for await ( const page of queryFullPages( session, { generator: 's', s: '?' } ) ) {
-			switch ( ++iteration ) {
-				case 1:
-					expect( page ).to.eql( {
-						pageid: 0,
-						missing: true,
-						title: 'A',
-						extra: 'a',
-					} );
-					break;
-				case 2:
-					expect( page ).to.eql( {
-						pageid: 0,
-						missing: true,
-						title: 'B',
-						extra: 'b',
-					} );
-					break;
-				default:
-					throw new Error( `Unexpected iteration #${ iteration }` );
-			}
+	// the rest of maxRequests() is tested in queryFullPages() + queryFullRevisions() below
+
+} );
+
+describe( 'm3api-query/signal and m3api-query/timeout', () => {
+
+	it( 'does not make any request if the signal is already aborted', async () => {
+		const session = new BaseTestSession();
+		const controller = new AbortController();
+		const reason = new Error( 'reason' );
+		controller.abort( reason );
+		let error;
+		try {
+			await queryFullPageByTitle( session, 'Title', {}, {
+				'm3api-query/signal': controller.signal,
+			} );
+		} catch ( e ) {
+			error = e;
 		}
+		expect( error ).to.be.an.instanceof( QueryAbortedError );
+		expect( error.reason ).to.equal( reason );
+	} );
 
-		expect( iteration ).to.equal( 2 );
+	it( 'rejects while a request is pending', async () => {
+		const response = deferred();
+		const session = callbackGetSession( () => response );
+		const controller = new AbortController();
+		const promise = queryPartialPageByTitle( session, 'Title', {}, {
+			'm3api-query/signal': controller.signal,
+		} );
+		await new Promise( ( resolve ) => {
+			setTimeout( resolve );
+		} );
+		controller.abort();
+		await expect( promise ).to.be.rejectedWith( QueryAbortedError );
+		response.resolve( { query: { pages: [ { title: 'Title' } ] } } );
 	} );
 
-	it( 'sorts pages per batch according to option', async () => {
+	it( 'does not leave listeners on the signal', async () => {
+		const title = 'Title';
+		const controller = new AbortController();
+		const session = callbackGetSession( () => ( {
+			query: { pages: [ { title } ] },
+			batchcomplete: true,
+		} ) );
+		for ( let i = 0; i < 3; i++ ) {
+			await queryFullPageByTitle( session, title, {}, {
+				'm3api-query/signal': controller.signal,
+				'm3api-query/timeout': 60000,
+			} );
+		}
+		expect( getEventListeners( controller.signal, 'abort' ) ).to.eql( [] );
+	} );
+
+	it( 'stops continuation once the signal is aborted', async () => {
+		const controller = new AbortController();
+		const session = sequentialGetSession( [
+			{
+				expectedParams: { action: 'query', generator: 'ap' },
+				response: { query: { pages: [
+					{ pageid: 1 },
+				] }, continue: { gapc: '2' }, batchcomplete: true },
+			},
+		] );
+		const asyncGenerator = queryFullPages( session, {
+			action: 'query',
+			generator: 'ap',
+		}, {
+			'm3api-query/signal': controller.signal,
+		} );
+		expect( ( await asyncGenerator.next() ).value ).to.eql( { pageid: 1 } );
+		controller.abort();
+		await expect( asyncGenerator.next() )
+			.to.be.rejectedWith( QueryAbortedError );
+	} );
+
+	it( 'rejects once the timeout expires', async () => {
+		const response = deferred();
+		const session = callbackGetSession( () => response );
+		let error;
+		try {
+			await queryFullRevisionByRevisionId( session, 1, {}, {
+				'm3api-query/timeout': 1,
+			} );
+		} catch ( e ) {
+			error = e;
+		}
+		expect( error ).to.be.an.instanceof( QueryAbortedError );
+		expect( error.reason.name ).to.equal( 'TimeoutError' );
+		response.resolve( { query: { pages: [] } } );
+	} );
+
+	it( 'does not time out before the timeout expires', async () => {
+		const title = 'Title';
+		const session = singleGetSession(
+			{ action: 'query', titles: title },
+			{ query: { pages: [ { title } ] }, batchcomplete: true },
+		);
+		expect( await queryFullPageByTitle( session, title, {}, {
+			'm3api-query/timeout': 60000,
+		} ) ).to.eql( { title } );
+	} );
+
+} );
+
+describe( 'ContinuationLoopError', () => {
+
+	it( 'is thrown if the API repeats the continuation parameters', async () => {
+		const title = 'Title';
+		const session = sequentialGetSession( [
+			{
+				expectedParams: { action: 'query', titles: title },
+				response: { query: { pages: [ { title } ] }, continue: { continue: 'c' } },
+			},
+			{
+				expectedParams: { action: 'query', titles: title, continue: 'c' },
+				response: { query: { pages: [ { title } ] }, continue: { continue: 'c' } },
+			},
+		] );
+		let error;
+		try {
+			await queryFullPageByTitle( session, title );
+		} catch ( e ) {
+			error = e;
+		}
+		expect( error ).to.be.an.instanceof( ContinuationLoopError );
+		expect( error.continueParams ).to.eql( { continue: 'c' } );
+	} );
+
+	it( 'is thrown if the API returns to earlier continuation parameters', async () => {
+		const session = sequentialGetSession( [
+			{
+				expectedParams: { action: 'query', generator: 'ap' },
+				response: { continue: { gapc: 'a' }, batchcomplete: true },
+			},
+			{
+				expectedParams: { action: 'query', generator: 'ap', gapc: 'a' },
+				response: { continue: { gapc: 'b' }, batchcomplete: true },
+			},
+			{
+				expectedParams: { action: 'query', generator: 'ap', gapc: 'b' },
+				response: { continue: { gapc: 'a' }, batchcomplete: true },
+			},
+		] );
+		await expect( queryFullPages( session, {
+			action: 'query',
+			generator: 'ap',
+		} ).next() ).to.be.rejectedWith( ContinuationLoopError, 'gapc' );
+	} );
+
+	it( 'is thrown if the API repeats the checkpoint resumed from', async () => {
+		const session = sequentialGetSession( [
+			{
+				expectedParams: { action: 'query', generator: 'ar', prop: 'revisions', garc: 'a' },
+				response: { continue: { garc: 'a' }, batchcomplete: true },
+			},
+		] );
+		await expect( queryFullRevisions( session, {
+			action: 'query',
+			generator: 'ar',
+		}, {
+			'm3api-query/resumeFrom': { garc: 'a' },
+		} ).next() ).to.be.rejectedWith( ContinuationLoopError );
+	} );
+
+} );
+
+describe( 'm3api-query/normalizeFormatversion', () => {
+
+	it( 'normalizes a formatversion=1 response', async () => {
+		const title = 'Title';
+		const session = singleGetSession( { action: 'query', titles: title }, {
+			batchcomplete: '',
+			query: { pages: { 123: {
+				pageid: 123,
+				ns: 0,
+				title,
+				new: '',
+				pageprops: { disambiguation: '' },
+				langlinks: [ { lang: 'de', '*': 'Titel' } ],
+				extlinks: [ { '*': 'https://example.com' } ],
+				revisions: [ {
+					revid: 1,
+					minor: '',
+					comment: '',
+					slots: { main: {
+						contentmodel: 'wikitext',
+						contentformat: 'text/x-wiki',
+						'*': 'content',
+					} },
+				} ],
+			} } },
+		} );
+		const page = await queryFullPageByTitle( session, title, {}, {
+			'm3api-query/normalizeFormatversion': true,
+		} );
+		expect( page ).to.eql( {
+			pageid: 123,
+			ns: 0,
+			title,
+			new: true,
+			pageprops: { disambiguation: '' },
+			langlinks: [ { lang: 'de', title: 'Titel' } ],
+			extlinks: [ { url: 'https://example.com' } ],
+			revisions: [ {
+				revid: 1,
+				minor: true,
+				comment: '',
+				slots: { main: {
+					contentmodel: 'wikitext',
+					contentformat: 'text/x-wiki',
+					content: 'content',
+				} },
+			} ],
+		} );
+	} );
+
+	it( 'normalizes missing pages and revisions', async () => {
+		const session = singleGetSession( { action: 'query', prop: 'revisions', revids: '1' }, {
+			batchcomplete: '',
+			query: {
+				badrevids: { 1: { revid: 1, missing: '' } },
+				pages: { '-1': { ns: 0, title: 'Missing', missing: '' } },
+			},
+		} );
+		expect( await queryFullRevisionByRevisionId( session, 1, {}, {
+			'm3api-query/normalizeFormatversion': true,
+		} ) ).to.eql( { revid: 1, missing: true } );
+	} );
+
+	it( 'does not normalize formatversion=2 responses', async () => {
+		const title = 'Title';
+		const session = singleGetSession( { action: 'query', titles: title, formatversion: '2' }, {
+			batchcomplete: true,
+			query: { pages: [ { title, new: '', '*': 'star' } ] },
+		} );
+		expect( await queryFullPageByTitle( session, title, { formatversion: 2 }, {
+			'm3api-query/normalizeFormatversion': true,
+		} ) ).to.eql( { title, new: '', '*': 'star' } );
+	} );
+
+	it( 'does not normalize without the option', async () => {
+		const title = 'Title';
+		const session = singleGetSession( { action: 'query', titles: title }, {
+			batchcomplete: '',
+			query: { pages: { 1: { pageid: 1, title, new: '' } } },
+		} );
+		expect( await queryFullPageByTitle( session, title ) )
+			.to.eql( { pageid: 1, title, new: '' } );
+	} );
+
+} );
+
+describe( 'queryIncrementalPages', () => {
+
+	it( 'yields partial pages from each response', async () => {
+		const session = sequentialGetSession( [
+			{
+				expectedParams: { action: 'query', generator: 'ap', prop: 'd' },
+				response: { query: { pages: [
+					{ pageid: 1, description: 'Page 1' },
+					{ pageid: 2 },
+				] }, continue: { gapc: '1', dc: '2' } },
+			},
+			{
+				expectedParams: { action: 'query', generator: 'ap', prop: 'd', gapc: '1', dc: '2' },
+				response: { query: { pages: {
+					1: { pageid: 1 },
+					2: { pageid: 2, description: 'Page 2' },
+				} }, continue: { gapc: '3' }, batchcomplete: '' },
+			},
+			{
+				expectedParams: { action: 'query', generator: 'ap', prop: 'd', gapc: '3' },
+				response: { query: { pages: [
+					{ pageid: 3, description: 'Page 3' },
+				] }, batchcomplete: true },
+			},
+		] );
+
+		const results = [];
+		for await ( const result of queryIncrementalPages( session, {
+			generator: 'ap', // “allpages”, see above
+			prop: set( 'd' ), // “description”, see above
+		} ) ) {
+			results.push( result );
+		}
+
+		expect( results ).to.eql( [
+			{ page: { pageid: 1, description: 'Page 1' }, batchComplete: false },
+			{ page: { pageid: 2 }, batchComplete: false },
+			{ page: { pageid: 1 }, batchComplete: true },
+			{ page: { pageid: 2, description: 'Page 2' }, batchComplete: true },
+			{ page: { pageid: 3, description: 'Page 3' }, batchComplete: true },
+		] );
+	} );
+
+	it( 'checks if parameters can produce pages', async () => {
+		const session = new BaseTestSession();
+		await expect( queryIncrementalPages( session, { list: 'allpages' } ).next() )
+			.to.be.rejectedWith( /queryIncrementalPages.*generator=allpages/ );
+	} );
+
+} );
+
+describe( 'queryFullPages', () => {
+
+	it( 'follows continuation and returns full pages', async () => {
+		const session = sequentialGetSession( [
+			{
+				expectedParams: { action: 'query', generator: 'ap', prop: 'i|d' },
+				response: { query: { pages: [
+					{ pageid: 1, contentmodel: 'wikitext', description: 'Page 1' },
+					{ pageid: 2, contentmodel: 'wikitext' },
+				] }, continue: { ic: '-', dc: '2' } },
+			},
+			{
+				expectedParams: { action: 'query', generator: 'ap', prop: 'i|d', ic: '-', dc: '2' },
+				response: { query: { pages: [
+					{ pageid: 1 },
+					{ pageid: 2, description: 'Page 2' },
+				] }, continue: { gapc: '3' }, batchcomplete: true },
+			},
+			{
+				expectedParams: { action: 'query', generator: 'ap', prop: 'i|d', gapc: '3' },
+				response: { query: { pages: [
+					{ pageid: 3, contentmodel: 'wikitext', description: 'Page 3' },
+					{ pageid: 4 },
+				] }, continue: { gapc: '3', ic: '4', dc: '4' } },
+			},
+			{
+				expectedParams: { action: 'query', generator: 'ap', prop: 'i|d', gapc: '3', ic: '4', dc: '4' },
+				response: { query: { pages: [
+					{ pageid: 3 },
+					{ pageid: 4, contentmodel: 'wikitext', description: 'Page 4' },
+				] }, batchcomplete: true },
+			},
+		] );
+
+		let iteration = 0;
+		for await ( const page of queryFullPages( session, {
+			generator: 'ap', // “allpages”, abbreviated for shorter (one-line) expectedParams above
+			prop: [ 'i', 'd' ], // “info” and “description”, likewise abbreviated
+		} ) ) {
+			switch ( ++iteration ) {
+				case 1:
+					expect( page ).to.eql( {
+						pageid: 1,
+						contentmodel: 'wikitext',
+						description: 'Page 1',
+					} );
+					break;
+				case 2:
+					expect( page ).to.eql( {
+						pageid: 2,
+						contentmodel: 'wikitext',
+						description: 'Page 2',
+					} );
+					break;
+				case 3:
+					expect( page ).to.eql( {
+						pageid: 3,
+						contentmodel: 'wikitext',
+						description: 'Page 3',
+					} );
+					break;
+				case 4:
+					expect( page ).to.eql( {
+						pageid: 4,
+						contentmodel: 'wikitext',
+						description: 'Page 4',
+					} );
+					break;
+				default:
+					throw new Error( `Unexpected iteration #${ iteration }` );
+			}
+		}
+
+		expect( iteration ).to.equal( 4 );
+	} );
+
+	it( 'distinguishes missing pages by title', async () => {
+		const session = sequentialGetSession( [
+			{
+				expectedParams: { action: 'query', generator: 's', s: '?' },
+				response: { query: { pages: [
+					{ pageid: 0, missing: true, title: 'A', extra: 'a' },
+					{ pageid: 0, missing: true, title: 'B' },
+				] }, continue: { so: '1' } },
+			},
+			{
+				expectedParams: { action: 'query', generator: 's', s: '?', so: '1' },
+				response: { query: { pages: [
+					{ pageid: 0, missing: true, title: 'A' },
+					{ pageid: 0, missing: true, title: 'B', extra: 'b' },
+				] }, batchcomplete: true },
+			},
+		] );
+
+		let iteration = 0;
+		for await ( const page of queryFullPages( session, { generator: 's', s: '?' } ) ) {
+			switch ( ++iteration ) {
+				case 1:
+					expect( page ).to.eql( {
+						pageid: 0,
+						missing: true,
+						title: 'A',
+						extra: 'a',
+					} );
+					break;
+				case 2:
+					expect( page ).to.eql( {
+						pageid: 0,
+						missing: true,
+						title: 'B',
+						extra: 'b',
+					} );
+					break;
+				default:
+					throw new Error( `Unexpected iteration #${ iteration }` );
+			}
+		}
+
+		expect( iteration ).to.equal( 2 );
+	} );
+
+	it( 'sorts pages per batch according to option', async () => {
 		const session = sequentialGetSession( [
 			{
 				expectedParams: { action: 'query', generator: 'ap', prop: 'i' },
@@ -1544,522 +3021,2049 @@ describe( 'queryFullPages', () => {
 		expect( iteration ).to.equal( 5 );
 	} );
 
-	describe( 'checks if parameters can produce pages', () => {
-
-		it( 'titles is valid', async () => {
-			const title = 'Title';
-			const response = { query: { pages: [ { title } ] }, batchcomplete: true };
-			const session = singleGetSession( null, response );
-			await queryFullPages( session, { titles: title } ).next();
-		} );
+	it( 'reports checkpoints after each complete batch', async () => {
+		const session = sequentialGetSession( [
+			{
+				expectedParams: { action: 'query', generator: 'ap', prop: 'd' },
+				response: { query: { pages: [
+					{ pageid: 1, description: 'Page 1' },
+					{ pageid: 2 },
+				] }, continue: { gapc: '1', dc: '2' } },
+			},
+			{
+				expectedParams: { action: 'query', generator: 'ap', prop: 'd', gapc: '1', dc: '2' },
+				response: { query: { pages: [
+					{ pageid: 1 },
+					{ pageid: 2, description: 'Page 2' },
+				] }, continue: { gapc: '3' }, batchcomplete: true },
+			},
+			{
+				expectedParams: { action: 'query', generator: 'ap', prop: 'd', gapc: '3' },
+				response: { query: { pages: [
+					{ pageid: 3, description: 'Page 3' },
+				] }, batchcomplete: true },
+			},
+		] );
 
-		it( 'pageids is valid', async () => {
-			const pageid = 123;
-			const response = { query: { pages: [ { pageid } ] }, batchcomplete: true };
-			const session = singleGetSession( null, response );
-			await queryFullPages( session, { pageids: pageid } ).next();
-		} );
+		const checkpoints = [];
+		const pageids = [];
+		for await ( const { pageid } of queryFullPages( session, {
+			generator: 'ap', // “allpages”, see above
+			prop: set( 'd' ), // “description”, see above
+		}, {
+			'm3api-query/onCheckpoint': ( checkpoint ) => {
+				checkpoints.push( { checkpoint, after: [ ...pageids ] } );
+			},
+		} ) ) {
+			pageids.push( pageid );
+		}
 
-		it( 'revids is valid', async () => {
-			const revid = 123;
-			const response = { query: { pages: [ { pageid: 12 } ] }, batchcomplete: true };
-			const session = singleGetSession( null, response );
-			await queryFullPages( session, { revids: revid } ).next();
-		} );
+		expect( pageids ).to.eql( [ 1, 2, 3 ] );
+		expect( checkpoints ).to.eql( [
+			{ checkpoint: { gapc: '3' }, after: [ 1, 2 ] },
+		] );
+	} );
 
-		it( 'generator is valid', async () => {
-			const response = { batchcomplete: true };
-			const session = singleGetSession( null, response );
-			await queryFullPages( session, { generator: 'generator' } ).next();
-		} );
+	it( 'resumes from a checkpoint', async () => {
+		const session = sequentialGetSession( [
+			{
+				expectedParams: { action: 'query', generator: 'ap', prop: 'd', gapc: '3' },
+				response: { query: { pages: [
+					{ pageid: 3, description: 'Page 3' },
+					{ pageid: 4 },
+				] }, continue: { gapc: '3', dc: '4' } },
+			},
+			{
+				expectedParams: { action: 'query', generator: 'ap', prop: 'd', gapc: '3', dc: '4' },
+				response: { query: { pages: [
+					{ pageid: 3 },
+					{ pageid: 4, description: 'Page 4' },
+				] }, batchcomplete: true },
+			},
+		] );
 
-		it( 'empty params are invalid', async () => {
-			const session = new BaseTestSession();
-			await expect( queryFullPages( session, {} ).next() )
-				.to.be.rejectedWith( new RegExp(
-					'^' +
-					'Request params for queryFullPages\\(\\) must include titles, pageids, revids, and/or generator!' +
-					'$',
-				) );
+		const pages = [];
+		for await ( const page of queryFullPages( session, {
+			generator: 'ap', // “allpages”, see above
+			prop: set( 'd' ), // “description”, see above
+		}, {
+			'm3api-query/resumeFrom': { gapc: '3' },
+		} ) ) {
+			pages.push( page );
+		}
+
+		expect( pages ).to.eql( [
+			{ pageid: 3, description: 'Page 3' },
+			{ pageid: 4, description: 'Page 4' },
+		] );
+	} );
+
+	it( 'runs parallel request chains for props and merges their batches', async () => {
+		const session = callbackGetSession( ( params ) => {
+			const pages = params.gapc === undefined ? [ 1, 2 ] : [ 3 ];
+			const batchContinue = params.gapc === undefined ? { gapc: '3' } : undefined;
+			if ( params.prop === 'd' ) {
+				return {
+					query: { pages: pages.map( ( pageid ) => ( { pageid, description: `Page ${ pageid }` } ) ) },
+					continue: batchContinue,
+					batchcomplete: true,
+				};
+			}
+			if ( params.prop === 'c' && params.clc === undefined ) {
+				return {
+					query: { pages: pages.map( ( pageid ) => ( { pageid, categories: [ `Category ${ pageid }` ] } ) ) },
+					continue: { ...params.gapc && { gapc: params.gapc }, clc: '-' },
+				};
+			}
+			if ( params.prop === 'c' ) {
+				return {
+					query: { pages: pages.map( ( pageid ) => ( { pageid, categories: [ `Category ${ pageid }b` ] } ) ) },
+					continue: batchContinue,
+					batchcomplete: true,
+				};
+			}
+			throw new Error( `Unexpected params: ${ JSON.stringify( params ) }` );
 		} );
 
-		for ( const { listParam, testName } of [
-			{ listParam: 'allpages', testName: 'string param' },
-			{ listParam: [ 'allpages' ], testName: 'single-element array' },
-			{ listParam: set( 'allpages' ), testName: 'single-element set' },
-		] ) {
-			it( `list= params are invalid (custom message for ${ testName })`, async () => {
-				const session = new BaseTestSession();
-				await expect( queryFullPages( session, { list: listParam } ).next() )
-					.to.be.rejectedWith( new RegExp(
-						'^' +
-						'Request params for queryFullPages\\(\\) must include titles, pageids, revids, and/or generator! ' +
-						'You probably want to change list=allpages to generator=allpages, and prefix its parameters with "g".' +
-						'$',
-					) );
-			} );
+		const pages = [];
+		for await ( const page of queryFullPages( session, {
+			generator: 'ap', // “allpages”, see above
+			prop: set( 'd', 'c' ), // “description” and “categories”, likewise abbreviated
+		}, {
+			'm3api-query/parallelProps': 2,
+		} ) ) {
+			pages.push( page );
 		}
 
+		expect( pages ).to.eql( [ 1, 2, 3 ].map( ( pageid ) => ( {
+			pageid,
+			description: `Page ${ pageid }`,
+			categories: [ `Category ${ pageid }`, `Category ${ pageid }b` ],
+		} ) ) );
 	} );
 
-	describe( 'maxEmptyResponses( limit: 3 )', () => {
+	it( 'does not combine parallelProps with checkpoints', async () => {
+		const session = new BaseTestSession();
+		await expect( queryFullPages( session, {
+			generator: 'ap', // “allpages”, see above
+			prop: set( 'd', 'c' ), // “description” and “categories”, see above
+		}, {
+			'm3api-query/parallelProps': 2,
+			'm3api-query/onCheckpoint': () => {},
+		} ).next() ).to.be.rejectedWith( RangeError );
+	} );
 
-		it( 'stops at limit + 1 consecutive empty responses', async () => {
+	describe( 'm3api-query/targetRequestsPerBatch', () => {
+
+		it( 'adjusts the generator limit between batches', async () => {
 			const session = sequentialGetSession( [
 				{
-					expectedParams: { action: 'query', generator: 'ap' },
-					response: { continue: { gapc: '3' }, batchcomplete: true },
+					expectedParams: { action: 'query', generator: 'ap', gaplimit: '8', prop: 'c' },
+					response: { query: { pages: [ { pageid: 1 } ] }, continue: { clc: '1' } },
 				},
 				{
-					expectedParams: { action: 'query', generator: 'ap', gapc: '3' },
-					response: { continue: { gapc: '6' }, batchcomplete: true },
+					expectedParams: { action: 'query', generator: 'ap', gaplimit: '8', prop: 'c', clc: '1' },
+					response: { query: { pages: [ { pageid: 2 } ] }, continue: { clc: '2' } },
 				},
 				{
-					expectedParams: { action: 'query', generator: 'ap', gapc: '6' },
-					response: { continue: { gapc: '9' }, batchcomplete: true },
+					expectedParams: { action: 'query', generator: 'ap', gaplimit: '8', prop: 'c', clc: '2' },
+					response: { query: { pages: [ { pageid: 3 } ] }, continue: { clc: '3' } },
 				},
 				{
-					expectedParams: { action: 'query', generator: 'ap', gapc: '9' },
-					response: { continue: { gapc: '12' }, batchcomplete: true },
+					expectedParams: { action: 'query', generator: 'ap', gaplimit: '8', prop: 'c', clc: '3' },
+					response: { query: { pages: [ { pageid: 4 } ] }, continue: { gapc: '5' }, batchcomplete: true },
+				},
+				{
+					expectedParams: { action: 'query', generator: 'ap', gaplimit: '4', prop: 'c', gapc: '5' },
+					response: { query: { pages: [ { pageid: 5 } ] }, continue: { gapc: '6' }, batchcomplete: true },
+				},
+				{
+					expectedParams: { action: 'query', generator: 'ap', gaplimit: '8', prop: 'c', gapc: '6' },
+					response: { query: { pages: [ { pageid: 6 } ] }, batchcomplete: true },
 				},
 			] );
 
-			await expect( queryFullPages( session, {
-				action: 'query',
+			const pageids = [];
+			for await ( const { pageid } of queryFullPages( session, {
 				generator: 'ap', // “allpages”, see above
+				gaplimit: 8,
+				prop: set( 'c' ), // “categories”, see above
 			}, {
-				...maxEmptyResponses( 3 ),
-			} ).next() )
-				.to.be.rejectedWith( TooManyEmptyResponsesError );
+				'm3api-query/targetRequestsPerBatch': 2,
+			} ) ) {
+				pageids.push( pageid );
+			}
+
+			expect( pageids ).to.eql( [ 1, 2, 3, 4, 5, 6 ] );
 		} );
 
-		it( 'allows limit consecutive empty responses', async () => {
+		it( 'keeps the limit within bounds', async () => {
 			const session = sequentialGetSession( [
 				{
-					expectedParams: { action: 'query', generator: 'ap' },
-					response: { continue: { gapc: '3' }, batchcomplete: true },
+					expectedParams: { action: 'query', generator: 'ap', gaplimit: 'max' },
+					response: { query: { pages: [ { pageid: 1 } ] }, continue: { gapc: '2' }, batchcomplete: true },
 				},
 				{
-					expectedParams: { action: 'query', generator: 'ap', gapc: '3' },
-					response: { continue: { gapc: '6' }, batchcomplete: true },
+					expectedParams: { action: 'query', generator: 'ap', gaplimit: 'max', gapc: '2' },
+					response: { query: { pages: [ { pageid: 2 } ] }, continue: { gapc: '2', x: '1' } },
 				},
 				{
-					expectedParams: { action: 'query', generator: 'ap', gapc: '6' },
-					response: { continue: { gapc: '9' }, batchcomplete: true },
+					expectedParams: { action: 'query', generator: 'ap', gaplimit: 'max', gapc: '2', x: '1' },
+					response: { query: { pages: [ { pageid: 2 } ] }, continue: { gapc: '3' }, batchcomplete: true },
 				},
 				{
-					expectedParams: { action: 'query', generator: 'ap', gapc: '9' },
-					response: { query: { pages: [
-						{ pageid: 9 },
-					] }, continue: { gapc: '12' }, batchcomplete: true },
+					expectedParams: { action: 'query', generator: 'ap', gaplimit: '250', gapc: '3' },
+					response: { query: { pages: [ { pageid: 3 } ] }, batchcomplete: true },
 				},
 			] );
 
-			const { value: page } = await queryFullPages( session, {
-				action: 'query',
+			const pageids = [];
+			for await ( const { pageid } of queryFullPages( session, {
 				generator: 'ap', // “allpages”, see above
+				gaplimit: 'max',
 			}, {
-				...maxEmptyResponses( 3 ),
-			} ).next();
-			expect( page ).to.eql( { pageid: 9 } );
+				'm3api-query/targetRequestsPerBatch': 1,
+			} ) ) {
+				pageids.push( pageid );
+			}
+
+			expect( pageids ).to.eql( [ 1, 2, 3 ] );
 		} );
 
-		it( 'allows limit+1 non-consecutive empty responses', async () => {
+		it( 'raises the limit back to max, but not above the initial limit', async () => {
 			const session = sequentialGetSession( [
 				{
-					expectedParams: { action: 'query', generator: 'ap' },
-					response: { continue: { gapc: '3' }, batchcomplete: true },
+					expectedParams: { action: 'query', generator: 'ap', gaplimit: 'max' },
+					response: { query: { pages: [ { pageid: 1 } ] }, continue: { x: '1' } },
 				},
 				{
-					expectedParams: { action: 'query', generator: 'ap', gapc: '3' },
-					response: { query: { pages: [
-						{ pageid: 3 },
-					] }, continue: { gapc: '6' }, batchcomplete: true },
+					expectedParams: { action: 'query', generator: 'ap', gaplimit: 'max', x: '1' },
+					response: { query: { pages: [ { pageid: 1 } ] }, continue: { x: '2' } },
 				},
 				{
-					expectedParams: { action: 'query', generator: 'ap', gapc: '6' },
-					response: { continue: { gapc: '9' }, batchcomplete: true },
+					expectedParams: { action: 'query', generator: 'ap', gaplimit: 'max', x: '2' },
+					response: { query: { pages: [ { pageid: 1 } ] }, continue: { x: '3' } },
 				},
 				{
-					expectedParams: { action: 'query', generator: 'ap', gapc: '9' },
-					response: { query: { pages: [
-						{ pageid: 9 },
-					] }, continue: { gapc: '12' }, batchcomplete: true },
+					expectedParams: { action: 'query', generator: 'ap', gaplimit: 'max', x: '3' },
+					response: { query: { pages: [ { pageid: 1 } ] }, continue: { gapc: '2' }, batchcomplete: true },
 				},
 				{
-					expectedParams: { action: 'query', generator: 'ap', gapc: '12' },
-					response: { continue: { gapc: '15' }, batchcomplete: true },
+					expectedParams: { action: 'query', generator: 'ap', gaplimit: '250', gapc: '2' },
+					response: { query: { pages: [ { pageid: 2 } ] }, continue: { gapc: '3' }, batchcomplete: true },
 				},
 				{
-					expectedParams: { action: 'query', generator: 'ap', gapc: '15' },
-					response: { query: { pages: [
-						{ pageid: 15 },
-					] }, continue: { gapc: '18' }, batchcomplete: true },
+					expectedParams: { action: 'query', generator: 'ap', gaplimit: 'max', gapc: '3' },
+					response: { query: { pages: [ { pageid: 3 } ] }, continue: { gapc: '4' }, batchcomplete: true },
 				},
 				{
-					expectedParams: { action: 'query', generator: 'ap', gapc: '18' },
-					response: { continue: { gapc: '21' }, batchcomplete: true },
+					expectedParams: { action: 'query', generator: 'ap', gaplimit: 'max', gapc: '4' },
+					response: { query: { pages: [ { pageid: 4 } ] }, batchcomplete: true },
 				},
+			] );
+
+			const pageids = [];
+			for await ( const { pageid } of queryFullPages( session, {
+				generator: 'ap', // “allpages”, see above
+				gaplimit: 'max',
+			}, {
+				'm3api-query/targetRequestsPerBatch': 2,
+			} ) ) {
+				pageids.push( pageid );
+			}
+
+			expect( pageids ).to.eql( [ 1, 2, 3, 4 ] );
+		} );
+
+		it( 'does not raise a numeric limit above the initial limit', async () => {
+			const session = sequentialGetSession( [
 				{
-					expectedParams: { action: 'query', generator: 'ap', gapc: '21' },
-					response: { query: { pages: [
-						{ pageid: 21 },
-					] }, continue: { gapc: '24' }, batchcomplete: true },
+					expectedParams: { action: 'query', generator: 'ap', gaplimit: '20' },
+					response: { query: { pages: [ { pageid: 1 } ] }, continue: { gapc: '2' }, batchcomplete: true },
 				},
 				{
-					expectedParams: { action: 'query', generator: 'ap', gapc: '24' },
-					response: { batchcomplete: true },
+					expectedParams: { action: 'query', generator: 'ap', gaplimit: '20', gapc: '2' },
+					response: { query: { pages: [ { pageid: 2 } ] }, batchcomplete: true },
 				},
 			] );
 
-			let iteration = 0;
-			for await ( const page of queryFullPages( session, {
-				action: 'query',
+			const pageids = [];
+			for await ( const { pageid } of queryFullPages( session, {
 				generator: 'ap', // “allpages”, see above
+				gaplimit: 20,
 			}, {
-				...maxEmptyResponses( 3 ),
+				'm3api-query/targetRequestsPerBatch': 3,
 			} ) ) {
-				switch ( ++iteration ) {
-					case 1:
-						expect( page ).to.eql( { pageid: 3 } );
-						break;
-					case 2:
-						expect( page ).to.eql( { pageid: 9 } );
-						break;
-					case 3:
-						expect( page ).to.eql( { pageid: 15 } );
-						break;
-					case 4:
-						expect( page ).to.eql( { pageid: 21 } );
-						break;
-				}
+				pageids.push( pageid );
 			}
 
-			expect( iteration ).to.equal( 4 );
+			expect( pageids ).to.eql( [ 1, 2 ] );
 		} );
 
-		it( 'keeps track of different requests separately', async () => {
-			const request1Call1Deferred = deferred(), request1Call1 = {
-				expectedParams: { action: 'query', generator: 'ap', gapn: '1' },
-				response: { continue: { gapc: '3' }, batchcomplete: true },
-			};
-			const request2Call1Deferred = deferred(), request2Call1 = {
-				expectedParams: { action: 'query', generator: 'ap', gapn: '2' },
-				response: { continue: { gapc: '3' }, batchcomplete: true },
-			};
-			const request1Call2Deferred = deferred(), request1Call2 = {
-				expectedParams: { action: 'query', generator: 'ap', gapn: '1', gapc: '3' },
-				response: { continue: { gapc: '6' }, batchcomplete: true },
-			};
-			const request2Call2Deferred = deferred(), request2Call2 = {
-				expectedParams: { action: 'query', generator: 'ap', gapn: '2', gapc: '3' },
-				response: { continue: { gapc: '6' }, batchcomplete: true },
-			};
-			const request1Call3Deferred = deferred(), request1Call3 = {
-				expectedParams: { action: 'query', generator: 'ap', gapn: '1', gapc: '6' },
-				response: { query: { pages: [
-					{ pageid: 6 },
-				] }, continue: { gapc: '9' }, batchcomplete: true },
-			};
-			const request2Call3Deferred = deferred(), request2Call3 = {
-				expectedParams: { action: 'query', generator: 'ap', gapn: '2', gapc: '6' },
-				response: { continue: { gapc: '9' }, batchcomplete: true },
-			};
-			const request1Call4Deferred = deferred(), request1Call4 = {
-				expectedParams: { action: 'query', generator: 'ap', gapn: '1', gapc: '9' },
-				response: { continue: { gapc: '12' }, batchcomplete: true },
-			};
-			const request2Call4Deferred = deferred(), request2Call4 = {
-				expectedParams: { action: 'query', generator: 'ap', gapn: '2', gapc: '9' },
-				response: { continue: { gapc: '12' }, batchcomplete: true },
-			};
-			const request1Call5Deferred = deferred(), request1Call5 = {
-				expectedParams: { action: 'query', generator: 'ap', gapn: '1', gapc: '12' },
-				response: { query: { pages: [
-					{ pageid: 12 },
-				] }, continue: { gapc: '15' }, batchcomplete: true },
-			};
-			const session = sequentialGetSession( [
-				request1Call1Deferred,
-				request2Call1Deferred,
-				request1Call2Deferred,
-				request2Call2Deferred,
-				request1Call3Deferred,
-				request2Call3Deferred,
-				request1Call4Deferred,
-				request2Call4Deferred,
-				request1Call5Deferred,
-			] );
-			const options = {
-				...maxEmptyResponses( 3 ),
-			};
-			const request1AsyncGenerator = queryFullPages( session, {
-				generator: 'ap', // “allpages”, see above
-				gapn: '1', // “gapnamespace”, likewise
-			}, options );
-			let request1Promise = request1AsyncGenerator.next();
-			const request2AsyncGenerator = queryFullPages( session, {
+		it( 'requires a detectable generator limit parameter', async () => {
+			const session = new BaseTestSession();
+			await expect( queryFullPages( session, {
 				generator: 'ap', // “allpages”, see above
-				gapn: '2', // “gapnamespace”, likewise
-			}, options );
-			const request2Promise = request2AsyncGenerator.next();
-
-			request1Call1Deferred.resolve( request1Call1 );
-			request2Call1Deferred.resolve( request2Call1 );
-			request1Call2Deferred.resolve( request1Call2 );
-			request2Call2Deferred.resolve( request2Call2 );
-			request1Call3Deferred.resolve( request1Call3 );
-			let { done, value: page } = await request1Promise;
-			expect( done ).to.be.false;
-			expect( page ).to.eql( { pageid: 6 } );
-			request1Promise = request1AsyncGenerator.next();
+			}, {
+				'm3api-query/targetRequestsPerBatch': 1,
+			} ).next() ).to.be.rejectedWith( RangeError, 'm3api-query/generatorLimitParam' );
+		} );
 
-			request2Call3Deferred.resolve( request2Call3 );
-			request1Call4Deferred.resolve( request1Call4 );
-			request2Call4Deferred.resolve( request2Call4 );
-			await expect( request2Promise )
-				.to.be.rejectedWith( TooManyEmptyResponsesError );
+	} );
+
+	describe( 'm3api-query/prefetchBatches', () => {
+
+		/**
+		 * A session for an endless generator with one page per batch,
+		 * recording the requested batches.
+		 *
+		 * @param {number[]} requested Modified.
+		 * @return {Session}
+		 */
+		function endlessSession( requested ) {
+			return callbackGetSession( ( params ) => {
+				const pageid = Number( params.gapc || '1' );
+				requested.push( pageid );
+				return {
+					query: { pages: [ { pageid } ] },
+					continue: { gapc: String( pageid + 1 ) },
+					batchcomplete: true,
+				};
+			} );
+		}
+
+		it( 'requests the next batches while the caller processes the current one', async () => {
+			const requested = [];
+			const session = endlessSession( requested );
+
+			// eslint-disable-next-line no-unreachable-loop
+			for await ( const { pageid } of queryFullPages( session, {
+				generator: 'ap', // “allpages”, see above
+			}, {
+				'm3api-query/prefetchBatches': 2,
+			} ) ) {
+				await new Promise( ( resolve ) => {
+					setTimeout( resolve );
+				} );
+				expect( requested ).to.eql( [ 1, 2, 3 ] );
+				expect( pageid ).to.equal( 1 );
+				break;
+			}
+
+			expect( requested ).to.eql( [ 1, 2, 3 ] );
+		} );
+
+		it( 'aborts a prefetched request if the caller stops iterating', async () => {
+			const pending = deferred();
+			const session = callbackGetSession( ( params ) => {
+				if ( params.gapc ) {
+					return pending; // never resolved
+				}
+				return {
+					query: { pages: [ { pageid: 1 } ] },
+					continue: { gapc: '2' },
+					batchcomplete: true,
+				};
+			} );
+
+			// eslint-disable-next-line no-unreachable-loop
+			for await ( const { pageid } of queryFullPages( session, {
+				generator: 'ap', // “allpages”, see above
+			}, {
+				'm3api-query/prefetchBatches': 1,
+			} ) ) {
+				expect( pageid ).to.equal( 1 );
+				break; // must not wait for the pending request
+			}
+		} );
+
+		it( 'aborts the signal of the prefetched request when returned early', async () => {
+			const pending = deferred();
+			const session = callbackGetSession( ( params ) => {
+				if ( params.gapc ) {
+					return pending; // never resolved
+				}
+				return {
+					query: { pages: [ { pageid: 1 } ] },
+					continue: { gapc: '2' },
+					batchcomplete: true,
+				};
+			} );
+			const signals = [];
+			const request = session.request.bind( session );
+			session.request = ( params, options ) => {
+				signals.push( options[ 'm3api-query/signal' ] );
+				return request( params, options );
+			};
+
+			// eslint-disable-next-line no-unreachable-loop
+			for await ( const { pageid } of queryFullPages( session, {
+				generator: 'ap', // “allpages”, see above
+			}, {
+				'm3api-query/prefetchBatches': 1,
+			} ) ) {
+				expect( pageid ).to.equal( 1 );
+				expect( signals ).to.have.lengthOf( 2 ); // the prefetched request is in flight
+				expect( signals[ 1 ].aborted ).to.be.false;
+				break;
+			}
+
+			expect( signals ).to.have.lengthOf( 2 );
+			expect( signals[ 0 ].aborted ).to.be.false; // completed normally
+			expect( signals[ 1 ].aborted ).to.be.true;
+		} );
+
+		it( 'does not request ahead without the option', async () => {
+			const requested = [];
+			const session = endlessSession( requested );
+
+			// eslint-disable-next-line no-unreachable-loop
+			for await ( const { pageid } of queryFullPages( session, {
+				generator: 'ap', // “allpages”, see above
+			} ) ) {
+				await new Promise( ( resolve ) => {
+					setTimeout( resolve );
+				} );
+				expect( pageid ).to.equal( 1 );
+				break;
+			}
+
+			expect( requested ).to.eql( [ 1 ] );
+		} );
+
+		it( 'yields all pages in order', async () => {
+			const session = sequentialGetSession( [
+				{
+					expectedParams: { action: 'query', generator: 'ap' },
+					response: { query: { pages: [ { pageid: 1 }, { pageid: 2 } ] }, continue: { gapc: '3' }, batchcomplete: true },
+				},
+				{
+					expectedParams: { action: 'query', generator: 'ap', gapc: '3' },
+					response: { query: { pages: [ { pageid: 3 } ] }, continue: { gapc: '4' }, batchcomplete: true },
+				},
+				{
+					expectedParams: { action: 'query', generator: 'ap', gapc: '4' },
+					response: { query: { pages: [ { pageid: 4 } ] }, batchcomplete: true },
+				},
+			] );
+
+			const pageids = [];
+			for await ( const { pageid } of queryFullPages( session, {
+				generator: 'ap', // “allpages”, see above
+			}, {
+				'm3api-query/prefetchBatches': 1,
+			} ) ) {
+				pageids.push( pageid );
+			}
+
+			expect( pageids ).to.eql( [ 1, 2, 3, 4 ] );
+		} );
+
+		it( 'reports errors of prefetched batches', async () => {
+			const session = callbackGetSession( ( params ) => {
+				if ( params.gapc ) {
+					throw new Error( 'second batch failed' );
+				}
+				return { query: { pages: [ { pageid: 1 } ] }, continue: { gapc: '2' }, batchcomplete: true };
+			} );
+
+			const iterator = queryFullPages( session, {
+				generator: 'ap', // “allpages”, see above
+			}, {
+				'm3api-query/prefetchBatches': 1,
+			} );
+			expect( ( await iterator.next() ).value ).to.eql( { pageid: 1 } );
+			await expect( iterator.next() ).to.be.rejectedWith( 'second batch failed' );
+		} );
+
+	} );
+
+	describe( 'm3api-query/maxPages', () => {
+
+		it( 'stops after maxPages pages and lowers the generator limit', async () => {
+			const session = sequentialGetSession( [
+				{
+					expectedParams: { action: 'query', generator: 'ap', gaplimit: '3' },
+					response: { query: { pages: [
+						{ pageid: 1 },
+						{ pageid: 2 },
+						{ pageid: 3 },
+					] }, continue: { gapc: '4' }, batchcomplete: true },
+				},
+				{
+					expectedParams: { action: 'query', generator: 'ap', gaplimit: '2', gapc: '4' },
+					response: { query: { pages: [
+						{ pageid: 4 },
+						{ pageid: 5 },
+					] }, continue: { gapc: '6' }, batchcomplete: true },
+				},
+			] );
+
+			const pageids = [];
+			for await ( const { pageid } of queryFullPages( session, {
+				generator: 'ap', // “allpages”, see above
+				gaplimit: 3,
+			}, {
+				'm3api-query/maxPages': 5,
+				'm3api-query/prefetchBatches': 1, // must not request a third batch
+			} ) ) {
+				pageids.push( pageid );
+			}
+
+			expect( pageids ).to.eql( [ 1, 2, 3, 4, 5 ] );
+		} );
+
+		it( 'lowers the initial generator limit', async () => {
+			const session = sequentialGetSession( [
+				{
+					expectedParams: { action: 'query', generator: 'ap', gaplimit: '2' },
+					response: { query: { pages: [
+						{ pageid: 1 },
+						{ pageid: 2 },
+					] }, continue: { gapc: '3' }, batchcomplete: true },
+				},
+			] );
+
+			const pageids = [];
+			for await ( const { pageid } of queryFullPages( session, {
+				generator: 'ap', // “allpages”, see above
+				gaplimit: 'max',
+			}, {
+				'm3api-query/maxPages': 2,
+			} ) ) {
+				pageids.push( pageid );
+			}
+
+			expect( pageids ).to.eql( [ 1, 2 ] );
+		} );
+
+		it( 'only lowers a max generator limit below 50', async () => {
+			const pages = ( from, count ) => Array.from(
+				{ length: count },
+				( _, i ) => ( { pageid: from + i } ),
+			);
+			const session = sequentialGetSession( [
+				{
+					expectedParams: { action: 'query', generator: 'ap', gaplimit: 'max' },
+					response: {
+						query: { pages: pages( 1, 60 ) },
+						continue: { gapc: '61' },
+						batchcomplete: true,
+					},
+				},
+				{
+					expectedParams: { action: 'query', generator: 'ap', gaplimit: '20', gapc: '61' },
+					response: {
+						query: { pages: pages( 61, 20 ) },
+						continue: { gapc: '81' },
+						batchcomplete: true,
+					},
+				},
+			] );
+
+			const pageids = [];
+			for await ( const { pageid } of queryFullPages( session, {
+				generator: 'ap', // “allpages”, see above
+				gaplimit: 'max',
+			}, {
+				'm3api-query/maxPages': 80,
+			} ) ) {
+				pageids.push( pageid );
+			}
+
+			expect( pageids ).to.have.lengthOf( 80 );
+			expect( pageids[ 79 ] ).to.equal( 80 );
+		} );
+
+		it( 'stops within a batch without a generator limit', async () => {
+			const session = sequentialGetSession( [
+				{
+					expectedParams: { action: 'query', generator: 'ap' },
+					response: { query: { pages: [
+						{ pageid: 1 },
+						{ pageid: 2 },
+						{ pageid: 3 },
+					] }, continue: { gapc: '4' }, batchcomplete: true },
+				},
+			] );
+
+			const pageids = [];
+			for await ( const { pageid } of queryFullPages( session, {
+				generator: 'ap', // “allpages”, see above
+			}, {
+				'm3api-query/maxPages': 2,
+			} ) ) {
+				pageids.push( pageid );
+			}
+
+			expect( pageids ).to.eql( [ 1, 2 ] );
+		} );
+
+	} );
+
+	describe( 'maxRequests( limit: 2 )', () => {
+
+		it( 'yields pages from limit requests, then stops', async () => {
+			const session = sequentialGetSession( [
+				{
+					expectedParams: { action: 'query', generator: 'ap' },
+					response: { query: { pages: [
+						{ pageid: 1 },
+					] }, continue: { gapc: '1' }, batchcomplete: true },
+				},
+				{
+					expectedParams: { action: 'query', generator: 'ap', gapc: '1' },
+					response: { query: { pages: [
+						{ pageid: 2 },
+					] }, continue: { gapc: '2' }, batchcomplete: true },
+				},
+			] );
+
+			const asyncGenerator = queryFullPages( session, {
+				action: 'query',
+				generator: 'ap',
+			}, {
+				...maxRequests( 2 ),
+			} );
+
+			expect( ( await asyncGenerator.next() ).value ).to.eql( { pageid: 1 } );
+			expect( ( await asyncGenerator.next() ).value ).to.eql( { pageid: 2 } );
+			await expect( asyncGenerator.next() )
+				.to.be.rejectedWith( TooManyRequestsError );
+		} );
+
+	} );
+
+	describe( 'm3api-query/onProgress', () => {
+
+		it( 'reports statistics after each response', async () => {
+			const session = sequentialGetSession( [
+				{
+					expectedParams: { action: 'query', generator: 'ap', prop: 'info' },
+					response: { query: { pages: [
+						{ pageid: 1 },
+					] }, continue: { gapc: '1', inc: 'c' } },
+				},
+				{
+					expectedParams: { action: 'query', generator: 'ap', prop: 'info', gapc: '1', inc: 'c' },
+					response: { query: { pages: [
+						{ pageid: 1, info: true },
+					] }, continue: { gapc: '2' }, batchcomplete: true },
+				},
+				{
+					expectedParams: { action: 'query', generator: 'ap', prop: 'info', gapc: '2' },
+					response: { continue: { gapc: '3' }, batchcomplete: true },
+				},
+				{
+					expectedParams: { action: 'query', generator: 'ap', prop: 'info', gapc: '3' },
+					response: { query: { pages: [
+						{ pageid: 3, info: true },
+					] }, batchcomplete: true },
+				},
+			] );
+			const progress = [];
+
+			const pages = [];
+			for await ( const page of queryFullPages( session, {
+				action: 'query',
+				generator: 'ap',
+				prop: 'info',
+			}, {
+				'm3api-query/onProgress': ( p ) => progress.push( p ),
+			} ) ) {
+				pages.push( page );
+			}
+
+			expect( pages ).to.eql( [
+				{ pageid: 1, info: true },
+				{ pageid: 3, info: true },
+			] );
+			expect( progress ).to.eql( [
+				{
+					requests: 1,
+					batches: 0,
+					pages: 0,
+					consecutiveEmptyResponses: 0,
+					continue: { gapc: '1', inc: 'c' },
+				},
+				{
+					requests: 2,
+					batches: 1,
+					pages: 0,
+					consecutiveEmptyResponses: 0,
+					continue: { gapc: '2' },
+				},
+				{
+					requests: 3,
+					batches: 2,
+					pages: 1,
+					consecutiveEmptyResponses: 1,
+					continue: { gapc: '3' },
+				},
+				{
+					requests: 4,
+					batches: 3,
+					pages: 1,
+					consecutiveEmptyResponses: 0,
+					continue: null,
+				},
+			] );
+		} );
+
+		it( 'counts each merged batch once with m3api-query/parallelProps', async () => {
+			const session = callbackGetSession( ( params ) => ( {
+				query: { pages: [ { pageid: 1, [ params.prop ]: true } ] },
+				batchcomplete: true,
+			} ) );
+			const progress = [];
+
+			const pages = [];
+			for await ( const page of queryFullPages( session, {
+				action: 'query',
+				generator: 'ap',
+				prop: set( 'a', 'b', 'c' ),
+			}, {
+				'm3api-query/parallelProps': 3,
+				'm3api-query/onProgress': ( p ) => progress.push( p ),
+			} ) ) {
+				pages.push( page );
+			}
+
+			expect( pages ).to.eql( [ { pageid: 1, a: true, b: true, c: true } ] );
+			expect( progress.map( ( { requests } ) => requests ) ).to.eql( [ 1, 2, 3, 3 ] );
+			expect( progress[ progress.length - 1 ] ).to.eql( {
+				requests: 3,
+				batches: 1,
+				pages: 0,
+				consecutiveEmptyResponses: 0,
+				continue: null,
+			} );
+			for ( const { batches } of progress.slice( 0, -1 ) ) {
+				expect( batches ).to.equal( 0 );
+			}
+		} );
+
+		it( 'counts empty merged batches with m3api-query/parallelProps', async () => {
+			const session = callbackGetSession( ( params ) => params.gapc ? {
+				query: { pages: [ { pageid: 2 } ] },
+				batchcomplete: true,
+			} : {
+				continue: { gapc: '2' },
+				batchcomplete: true,
+			} );
+			const progress = [];
+
+			for await ( const page of queryFullPages( session, {
+				action: 'query',
+				generator: 'ap',
+				prop: [ 'a', 'b' ],
+			}, {
+				'm3api-query/parallelProps': 2,
+				'm3api-query/onProgress': ( p ) => progress.push( p ),
+			} ) ) {
+				expect( page ).to.eql( { pageid: 2 } );
+			}
+
+			// the reports after each merged batch, rather than after each response
+			const batchReports = progress.filter(
+				( p, i ) => i > 0 && p.batches > progress[ i - 1 ].batches,
+			);
+			expect( batchReports.map( ( { batches, consecutiveEmptyResponses } ) => [
+				batches,
+				consecutiveEmptyResponses,
+			] ) ).to.eql( [ [ 1, 1 ], [ 2, 0 ] ] );
+		} );
+
+	} );
+
+	describe( 'checks if parameters can produce pages', () => {
+
+		it( 'titles is valid', async () => {
+			const title = 'Title';
+			const response = { query: { pages: [ { title } ] }, batchcomplete: true };
+			const session = singleGetSession( null, response );
+			await queryFullPages( session, { titles: title } ).next();
+		} );
+
+		it( 'pageids is valid', async () => {
+			const pageid = 123;
+			const response = { query: { pages: [ { pageid } ] }, batchcomplete: true };
+			const session = singleGetSession( null, response );
+			await queryFullPages( session, { pageids: pageid } ).next();
+		} );
+
+		it( 'revids is valid', async () => {
+			const revid = 123;
+			const response = { query: { pages: [ { pageid: 12 } ] }, batchcomplete: true };
+			const session = singleGetSession( null, response );
+			await queryFullPages( session, { revids: revid } ).next();
+		} );
+
+		it( 'generator is valid', async () => {
+			const response = { batchcomplete: true };
+			const session = singleGetSession( null, response );
+			await queryFullPages( session, { generator: 'generator' } ).next();
+		} );
+
+		it( 'empty params are invalid', async () => {
+			const session = new BaseTestSession();
+			await expect( queryFullPages( session, {} ).next() )
+				.to.be.rejectedWith( new RegExp(
+					'^' +
+					'Request params for queryFullPages\\(\\) must include titles, pageids, revids, and/or generator!' +
+					'$',
+				) );
+		} );
+
+		for ( const { listParam, testName } of [
+			{ listParam: 'allpages', testName: 'string param' },
+			{ listParam: [ 'allpages' ], testName: 'single-element array' },
+			{ listParam: set( 'allpages' ), testName: 'single-element set' },
+		] ) {
+			it( `list= params are invalid (custom message for ${ testName })`, async () => {
+				const session = new BaseTestSession();
+				await expect( queryFullPages( session, { list: listParam } ).next() )
+					.to.be.rejectedWith( new RegExp(
+						'^' +
+						'Request params for queryFullPages\\(\\) must include titles, pageids, revids, and/or generator! ' +
+						'You probably want to change list=allpages to generator=allpages, and prefix its parameters with "g".' +
+						'$',
+					) );
+			} );
+		}
+
+	} );
+
+	describe( 'maxEmptyResponses( limit: 3 )', () => {
+
+		it( 'stops at limit + 1 consecutive empty responses', async () => {
+			const session = sequentialGetSession( [
+				{
+					expectedParams: { action: 'query', generator: 'ap' },
+					response: { continue: { gapc: '3' }, batchcomplete: true },
+				},
+				{
+					expectedParams: { action: 'query', generator: 'ap', gapc: '3' },
+					response: { continue: { gapc: '6' }, batchcomplete: true },
+				},
+				{
+					expectedParams: { action: 'query', generator: 'ap', gapc: '6' },
+					response: { continue: { gapc: '9' }, batchcomplete: true },
+				},
+				{
+					expectedParams: { action: 'query', generator: 'ap', gapc: '9' },
+					response: { continue: { gapc: '12' }, batchcomplete: true },
+				},
+			] );
+
+			await expect( queryFullPages( session, {
+				action: 'query',
+				generator: 'ap', // “allpages”, see above
+			}, {
+				...maxEmptyResponses( 3 ),
+			} ).next() )
+				.to.be.rejectedWith( TooManyEmptyResponsesError );
+		} );
+
+		it( 'allows limit consecutive empty responses', async () => {
+			const session = sequentialGetSession( [
+				{
+					expectedParams: { action: 'query', generator: 'ap' },
+					response: { continue: { gapc: '3' }, batchcomplete: true },
+				},
+				{
+					expectedParams: { action: 'query', generator: 'ap', gapc: '3' },
+					response: { continue: { gapc: '6' }, batchcomplete: true },
+				},
+				{
+					expectedParams: { action: 'query', generator: 'ap', gapc: '6' },
+					response: { continue: { gapc: '9' }, batchcomplete: true },
+				},
+				{
+					expectedParams: { action: 'query', generator: 'ap', gapc: '9' },
+					response: { query: { pages: [
+						{ pageid: 9 },
+					] }, continue: { gapc: '12' }, batchcomplete: true },
+				},
+			] );
+
+			const { value: page } = await queryFullPages( session, {
+				action: 'query',
+				generator: 'ap', // “allpages”, see above
+			}, {
+				...maxEmptyResponses( 3 ),
+			} ).next();
+			expect( page ).to.eql( { pageid: 9 } );
+		} );
+
+		it( 'allows limit+1 non-consecutive empty responses', async () => {
+			const session = sequentialGetSession( [
+				{
+					expectedParams: { action: 'query', generator: 'ap' },
+					response: { continue: { gapc: '3' }, batchcomplete: true },
+				},
+				{
+					expectedParams: { action: 'query', generator: 'ap', gapc: '3' },
+					response: { query: { pages: [
+						{ pageid: 3 },
+					] }, continue: { gapc: '6' }, batchcomplete: true },
+				},
+				{
+					expectedParams: { action: 'query', generator: 'ap', gapc: '6' },
+					response: { continue: { gapc: '9' }, batchcomplete: true },
+				},
+				{
+					expectedParams: { action: 'query', generator: 'ap', gapc: '9' },
+					response: { query: { pages: [
+						{ pageid: 9 },
+					] }, continue: { gapc: '12' }, batchcomplete: true },
+				},
+				{
+					expectedParams: { action: 'query', generator: 'ap', gapc: '12' },
+					response: { continue: { gapc: '15' }, batchcomplete: true },
+				},
+				{
+					expectedParams: { action: 'query', generator: 'ap', gapc: '15' },
+					response: { query: { pages: [
+						{ pageid: 15 },
+					] }, continue: { gapc: '18' }, batchcomplete: true },
+				},
+				{
+					expectedParams: { action: 'query', generator: 'ap', gapc: '18' },
+					response: { continue: { gapc: '21' }, batchcomplete: true },
+				},
+				{
+					expectedParams: { action: 'query', generator: 'ap', gapc: '21' },
+					response: { query: { pages: [
+						{ pageid: 21 },
+					] }, continue: { gapc: '24' }, batchcomplete: true },
+				},
+				{
+					expectedParams: { action: 'query', generator: 'ap', gapc: '24' },
+					response: { batchcomplete: true },
+				},
+			] );
+
+			let iteration = 0;
+			for await ( const page of queryFullPages( session, {
+				action: 'query',
+				generator: 'ap', // “allpages”, see above
+			}, {
+				...maxEmptyResponses( 3 ),
+			} ) ) {
+				switch ( ++iteration ) {
+					case 1:
+						expect( page ).to.eql( { pageid: 3 } );
+						break;
+					case 2:
+						expect( page ).to.eql( { pageid: 9 } );
+						break;
+					case 3:
+						expect( page ).to.eql( { pageid: 15 } );
+						break;
+					case 4:
+						expect( page ).to.eql( { pageid: 21 } );
+						break;
+				}
+			}
+
+			expect( iteration ).to.equal( 4 );
+		} );
+
+		it( 'keeps track of different requests separately', async () => {
+			const request1Call1Deferred = deferred(), request1Call1 = {
+				expectedParams: { action: 'query', generator: 'ap', gapn: '1' },
+				response: { continue: { gapc: '3' }, batchcomplete: true },
+			};
+			const request2Call1Deferred = deferred(), request2Call1 = {
+				expectedParams: { action: 'query', generator: 'ap', gapn: '2' },
+				response: { continue: { gapc: '3' }, batchcomplete: true },
+			};
+			const request1Call2Deferred = deferred(), request1Call2 = {
+				expectedParams: { action: 'query', generator: 'ap', gapn: '1', gapc: '3' },
+				response: { continue: { gapc: '6' }, batchcomplete: true },
+			};
+			const request2Call2Deferred = deferred(), request2Call2 = {
+				expectedParams: { action: 'query', generator: 'ap', gapn: '2', gapc: '3' },
+				response: { continue: { gapc: '6' }, batchcomplete: true },
+			};
+			const request1Call3Deferred = deferred(), request1Call3 = {
+				expectedParams: { action: 'query', generator: 'ap', gapn: '1', gapc: '6' },
+				response: { query: { pages: [
+					{ pageid: 6 },
+				] }, continue: { gapc: '9' }, batchcomplete: true },
+			};
+			const request2Call3Deferred = deferred(), request2Call3 = {
+				expectedParams: { action: 'query', generator: 'ap', gapn: '2', gapc: '6' },
+				response: { continue: { gapc: '9' }, batchcomplete: true },
+			};
+			const request1Call4Deferred = deferred(), request1Call4 = {
+				expectedParams: { action: 'query', generator: 'ap', gapn: '1', gapc: '9' },
+				response: { continue: { gapc: '12' }, batchcomplete: true },
+			};
+			const request2Call4Deferred = deferred(), request2Call4 = {
+				expectedParams: { action: 'query', generator: 'ap', gapn: '2', gapc: '9' },
+				response: { continue: { gapc: '12' }, batchcomplete: true },
+			};
+			const request1Call5Deferred = deferred(), request1Call5 = {
+				expectedParams: { action: 'query', generator: 'ap', gapn: '1', gapc: '12' },
+				response: { query: { pages: [
+					{ pageid: 12 },
+				] }, continue: { gapc: '15' }, batchcomplete: true },
+			};
+			const session = sequentialGetSession( [
+				request1Call1Deferred,
+				request2Call1Deferred,
+				request1Call2Deferred,
+				request2Call2Deferred,
+				request1Call3Deferred,
+				request2Call3Deferred,
+				request1Call4Deferred,
+				request2Call4Deferred,
+				request1Call5Deferred,
+			] );
+			const options = {
+				...maxEmptyResponses( 3 ),
+			};
+			const request1AsyncGenerator = queryFullPages( session, {
+				generator: 'ap', // “allpages”, see above
+				gapn: '1', // “gapnamespace”, likewise
+			}, options );
+			let request1Promise = request1AsyncGenerator.next();
+			const request2AsyncGenerator = queryFullPages( session, {
+				generator: 'ap', // “allpages”, see above
+				gapn: '2', // “gapnamespace”, likewise
+			}, options );
+			const request2Promise = request2AsyncGenerator.next();
+
+			request1Call1Deferred.resolve( request1Call1 );
+			request2Call1Deferred.resolve( request2Call1 );
+			request1Call2Deferred.resolve( request1Call2 );
+			request2Call2Deferred.resolve( request2Call2 );
+			request1Call3Deferred.resolve( request1Call3 );
+			let { done, value: page } = await request1Promise;
+			expect( done ).to.be.false;
+			expect( page ).to.eql( { pageid: 6 } );
+			request1Promise = request1AsyncGenerator.next();
+
+			request2Call3Deferred.resolve( request2Call3 );
+			request1Call4Deferred.resolve( request1Call4 );
+			request2Call4Deferred.resolve( request2Call4 );
+			await expect( request2Promise )
+				.to.be.rejectedWith( TooManyEmptyResponsesError );
 
 			request1Call5Deferred.resolve( request1Call5 );
 			( { done, value: page } = await request1Promise );
 			expect( done ).to.be.false;
-			expect( page ).to.eql( { pageid: 12 } );
+			expect( page ).to.eql( { pageid: 12 } );
+		} );
+
+	} );
+
+} );
+
+describe( 'queryFullRevisions', () => {
+
+	it( 'follows continuation and returns revisions with page attached', async () => {
+		const session = sequentialGetSession( [
+			{
+				expectedParams: { action: 'query', generator: 'ar', prop: 'revisions', rvprop: 'i' },
+				response: { query: { pages: [
+					{ pageid: 1, revisions: [ { revid: 11 } ] },
+					{ pageid: 2, revisions: [ { revid: 21 } ] },
+				] }, continue: { rc: '21' } },
+			},
+			{
+				expectedParams: { action: 'query', generator: 'ar', prop: 'revisions', rvprop: 'i', rc: '21' },
+				response: { query: { pages: [
+					{ pageid: 2, revisions: [ { revid: 22 } ] },
+				] }, continue: { rc: '22' }, batchcomplete: true },
+			},
+			{
+				expectedParams: { action: 'query', generator: 'ar', prop: 'revisions', rvprop: 'i', rc: '22' },
+				response: { query: { pages: [
+					{ pageid: 3, revisions: [ { revid: 31 }, { revid: 32 } ] },
+				] }, batchcomplete: true },
+			},
+		] );
+
+		let iteration = 0;
+		for await ( const revision of queryFullRevisions( session, {
+			generator: 'ar', // “allrevisions”, abbreviated for shorter (one-line) expectedParams above
+			rvprop: [ 'i' ], // “ids”, likewise abbreviated
+		} ) ) {
+			switch ( ++iteration ) {
+				case 1:
+					expect( revision ).to.eql( { revid: 11 } );
+					expect( revision[ pageOfRevision ] ).to.eql( { pageid: 1 } );
+					break;
+				case 2:
+					expect( revision ).to.eql( { revid: 21 } );
+					expect( revision[ pageOfRevision ] ).to.eql( { pageid: 2 } );
+					break;
+				case 3:
+					expect( revision ).to.eql( { revid: 22 } );
+					expect( revision[ pageOfRevision ] ).to.eql( { pageid: 2 } );
+					break;
+				case 4:
+					expect( revision ).to.eql( { revid: 31 } );
+					expect( revision[ pageOfRevision ] ).to.eql( { pageid: 3 } );
+					break;
+				case 5:
+					expect( revision ).to.eql( { revid: 32 } );
+					expect( revision[ pageOfRevision ] ).to.eql( { pageid: 3 } );
+					break;
+				default:
+					throw new Error( `Unexpected iteration #${ iteration }` );
+			}
+		}
+
+		expect( iteration ).to.equal( 5 );
+	} );
+
+	it( 'returns missing revisions', async () => {
+		const expectedParams = { action: 'query', prop: 'revisions', revids: '123|789' };
+		const response = { query: {
+			badrevids: { 123: { revid: 123 } },
+			pages: [ { pageid: 456, revisions: [ { revid: 789 } ] } ],
+			batchcomplete: true,
+		} };
+		const session = singleGetSession( expectedParams, response );
+
+		let iteration = 0;
+		for await ( const revision of queryFullRevisions( session, { revids: [ 123, 789 ] } ) ) {
+			switch ( ++iteration ) {
+				case 1:
+					expect( revision ).to.eql( { revid: 123, missing: true } );
+					expect( revision ).not.to.have.property( pageOfRevision );
+					break;
+				case 2:
+					expect( revision ).to.eql( { revid: 789 } );
+					expect( revision[ pageOfRevision ] ).to.eql( { pageid: 456 } );
+					break;
+			}
+		}
+
+		expect( iteration ).to.equal( 2 );
+	} );
+
+	it( 'sorts pages per batch according to option', async () => {
+		const session = sequentialGetSession( [
+			{
+				expectedParams: { action: 'query', generator: 'ar', prop: 'revisions' },
+				response: { query: { pages: [
+					{ pageid: 2, revisions: [ { revid: 210 } ] },
+					{ pageid: 1, revisions: [ { revid: 120 }, { revid: 110 } ] },
+				] }, continue: { garc: '3' }, batchcomplete: true },
+			},
+			{
+				expectedParams: { action: 'query', generator: 'ar', prop: 'revisions', garc: '3' },
+				response: { query: { pages: [
+					{ pageid: 4, revisions: [ { revid: 41 } ] },
+					{ pageid: 3, revisions: [ { revid: 31 } ] },
+				] }, batchcomplete: true },
+			},
+		] );
+
+		let iteration = 0;
+		for await ( const revision of queryFullRevisions( session, {
+			generator: 'ar', // “allrevisions”, abbreviated for shorter (one-line) expectedParams above
+		}, {
+			'm3api-query/compareRevisions': ( { revid: r1 }, { revid: r2 } ) => r1 - r2,
+		} ) ) {
+			switch ( ++iteration ) {
+				case 1:
+					expect( revision ).to.eql( { revid: 110 } );
+					break;
+				case 2:
+					expect( revision ).to.eql( { revid: 120 } );
+					break;
+				case 3:
+					expect( revision ).to.eql( { revid: 210 } );
+					break;
+				case 4:
+					expect( revision ).to.eql( { revid: 31 } );
+					break;
+				case 5:
+					expect( revision ).to.eql( { revid: 41 } );
+					break;
+				default:
+					throw new Error( `Unexpected iteration #${ iteration }` );
+			}
+		}
+
+		expect( iteration ).to.equal( 5 );
+	} );
+
+	it( 'reports checkpoints after each response and resumes from them', async () => {
+		const responses = [
+			{ query: { pages: [
+				{ pageid: 1, revisions: [ { revid: 11 }, { revid: 12 } ] },
+			] }, continue: { rc: '13' } },
+			{ query: { pages: [
+				{ pageid: 1, revisions: [ { revid: 13 } ] },
+			] }, batchcomplete: true },
+		];
+		const session = sequentialGetSession( [
+			{
+				expectedParams: { action: 'query', titles: 'T', prop: 'revisions' },
+				response: responses[ 0 ],
+			},
+		] );
+
+		const checkpoints = [];
+		const options = {
+			'm3api-query/onCheckpoint': ( checkpoint ) => checkpoints.push( checkpoint ),
+		};
+		const revids = [];
+		for await ( const { revid } of queryFullRevisions( session, { titles: 'T' }, options ) ) {
+			revids.push( revid );
+			if ( revid === 12 ) {
+				break;
+			}
+		}
+		expect( revids ).to.eql( [ 11, 12 ] );
+		expect( checkpoints ).to.eql( [] ); // broke out before the end of the response
+
+		const session2 = sequentialGetSession( [
+			{
+				expectedParams: { action: 'query', titles: 'T', prop: 'revisions' },
+				response: responses[ 0 ],
+			},
+			{
+				expectedParams: { action: 'query', titles: 'T', prop: 'revisions', rc: '13' },
+				response: responses[ 1 ],
+			},
+		] );
+		for await ( const { revid } of queryFullRevisions( session2, { titles: 'T' }, options ) ) {
+			revids.push( revid );
+		}
+		expect( checkpoints ).to.eql( [ { rc: '13' } ] );
+
+		const session3 = sequentialGetSession( [
+			{
+				expectedParams: { action: 'query', titles: 'T', prop: 'revisions', rc: '13' },
+				response: responses[ 1 ],
+			},
+		] );
+		revids.length = 0;
+		for await ( const { revid } of queryFullRevisions( session3, { titles: 'T' }, {
+			'm3api-query/resumeFrom': checkpoints[ 0 ],
+		} ) ) {
+			revids.push( revid );
+		}
+		expect( revids ).to.eql( [ 13 ] );
+	} );
+
+	describe( 'm3api-query/maxRevisions', () => {
+
+		it( 'stops after maxRevisions revisions and lowers rvlimit', async () => {
+			const session = sequentialGetSession( [
+				{
+					expectedParams: { action: 'query', titles: 'T', prop: 'revisions', rvlimit: '2' },
+					response: { query: { pages: [
+						{ pageid: 1, revisions: [ { revid: 11 }, { revid: 12 } ] },
+					] }, continue: { rvcontinue: '13' } },
+				},
+				{
+					expectedParams: { action: 'query', titles: 'T', prop: 'revisions', rvlimit: '1', rvcontinue: '13' },
+					response: { query: { pages: [
+						{ pageid: 1, revisions: [ { revid: 13 } ] },
+					] }, continue: { rvcontinue: '14' } },
+				},
+			] );
+
+			const revids = [];
+			for await ( const { revid } of queryFullRevisions( session, {
+				titles: 'T',
+				rvlimit: 2,
+			}, {
+				'm3api-query/maxRevisions': 3,
+			} ) ) {
+				revids.push( revid );
+			}
+
+			expect( revids ).to.eql( [ 11, 12, 13 ] );
+		} );
+
+		it( 'lowers the initial rvlimit=max', async () => {
+			const session = sequentialGetSession( [
+				{
+					expectedParams: { action: 'query', titles: 'T', prop: 'revisions', rvlimit: '3' },
+					response: { query: { pages: [
+						{ pageid: 1, revisions: [ { revid: 11 }, { revid: 12 }, { revid: 13 } ] },
+					] }, continue: { rvcontinue: '14' } },
+				},
+			] );
+
+			const revids = [];
+			for await ( const { revid } of queryFullRevisions( session, {
+				titles: 'T',
+				rvlimit: 'max',
+			}, {
+				'm3api-query/maxRevisions': 3,
+			} ) ) {
+				revids.push( revid );
+			}
+
+			expect( revids ).to.eql( [ 11, 12, 13 ] );
+		} );
+
+	} );
+
+	describe( 'maxRequests( limit: 1 )', () => {
+
+		it( 'yields revisions from limit requests, then stops', async () => {
+			const session = sequentialGetSession( [
+				{
+					expectedParams: { action: 'query', generator: 'ar', prop: 'revisions' },
+					response: { query: { pages: [
+						{ revisions: [ { revid: 1 } ] },
+					] }, continue: { garc: '1' }, batchcomplete: true },
+				},
+			] );
+
+			const asyncGenerator = queryFullRevisions( session, {
+				action: 'query',
+				generator: 'ar',
+			}, {
+				...maxRequests( 1 ),
+			} );
+
+			expect( ( await asyncGenerator.next() ).value ).to.eql( { revid: 1 } );
+			await expect( asyncGenerator.next() )
+				.to.be.rejectedWith( TooManyRequestsError );
+		} );
+
+	} );
+
+	describe( 'm3api-query/onProgress', () => {
+
+		it( 'reports statistics after each response', async () => {
+			const session = sequentialGetSession( [
+				{
+					expectedParams: { action: 'query', generator: 'ar', prop: 'revisions' },
+					response: { continue: { garc: '1' }, batchcomplete: true },
+				},
+				{
+					expectedParams: { action: 'query', generator: 'ar', prop: 'revisions', garc: '1' },
+					response: { query: { pages: [
+						{ revisions: [ { revid: 1 }, { revid: 2 } ] },
+					] }, batchcomplete: true },
+				},
+			] );
+			const progress = [];
+
+			const revisions = [];
+			for await ( const revision of queryFullRevisions( session, {
+				action: 'query',
+				generator: 'ar',
+			}, {
+				'm3api-query/onProgress': ( p ) => progress.push( p ),
+			} ) ) {
+				revisions.push( revision );
+			}
+
+			expect( revisions ).to.eql( [ { revid: 1 }, { revid: 2 } ] );
+			expect( progress ).to.eql( [
+				{
+					requests: 1,
+					batches: 1,
+					revisions: 0,
+					consecutiveEmptyResponses: 1,
+					continue: { garc: '1' },
+				},
+				{
+					requests: 2,
+					batches: 2,
+					revisions: 0,
+					consecutiveEmptyResponses: 0,
+					continue: null,
+				},
+			] );
+		} );
+
+	} );
+
+	describe( 'checks if parameters can produce pages', () => {
+
+		// subset of the queryFullPages tests
+
+		it( 'titles is valid', async () => {
+			const title = 'Title';
+			const response = { query: { pages: [ {
+				title,
+				revisions: [ { revid: 123 } ],
+			} ] }, batchcomplete: true };
+			const session = singleGetSession( null, response );
+			await queryFullRevisions( session, { titles: title } ).next();
+		} );
+
+		it( 'empty params are invalid', async () => {
+			const session = new BaseTestSession();
+			await expect( queryFullRevisions( session, {} ).next() )
+				.to.be.rejectedWith( new RegExp(
+					'^' +
+					'Request params for queryFullRevisions\\(\\) must include titles, pageids, revids, and/or generator!' +
+					'$',
+				) );
+		} );
+
+	} );
+
+	describe( 'maxEmptyResponses( limit: 3 )', () => {
+
+		// amalgam of the queryFullPages tests
+
+		it( 'allows limit empty + 1 nonempty + 1 empty + 1 nonempty responses, then stops at limit + 1 consecutive empty responses', async () => {
+			const session = sequentialGetSession( [
+				{
+					expectedParams: { action: 'query', generator: 'ar', prop: 'revisions' },
+					response: { continue: { garc: '3' }, batchcomplete: true },
+				},
+				{
+					expectedParams: { action: 'query', generator: 'ar', prop: 'revisions', garc: '3' },
+					response: { continue: { garc: '6' }, batchcomplete: true },
+				},
+				{
+					expectedParams: { action: 'query', generator: 'ar', prop: 'revisions', garc: '6' },
+					response: { continue: { garc: '9' }, batchcomplete: true },
+				},
+				{
+					expectedParams: { action: 'query', generator: 'ar', prop: 'revisions', garc: '9' },
+					response: { query: { pages: [
+						{ revisions: [ { revid: 9 } ] },
+					] }, continue: { garc: '12' }, batchcomplete: true },
+				},
+				{
+					expectedParams: { action: 'query', generator: 'ar', prop: 'revisions', garc: '12' },
+					response: { continue: { garc: '15' }, batchcomplete: true },
+				},
+				{
+					expectedParams: { action: 'query', generator: 'ar', prop: 'revisions', garc: '15' },
+					response: { query: { pages: [
+						{ revisions: [ { revid: 15 } ] },
+					] }, continue: { garc: '18' }, batchcomplete: true },
+				},
+				{
+					expectedParams: { action: 'query', generator: 'ar', prop: 'revisions', garc: '18' },
+					response: { continue: { garc: '21' }, batchcomplete: true },
+				},
+				{
+					expectedParams: { action: 'query', generator: 'ar', prop: 'revisions', garc: '21' },
+					response: { continue: { garc: '24' }, batchcomplete: true },
+				},
+				{
+					expectedParams: { action: 'query', generator: 'ar', prop: 'revisions', garc: '24' },
+					response: { continue: { garc: '27' }, batchcomplete: true },
+				},
+				{
+					expectedParams: { action: 'query', generator: 'ar', prop: 'revisions', garc: '27' },
+					response: { continue: { garc: '30' }, batchcomplete: true },
+				},
+			] );
+
+			const asyncGenerator = queryFullRevisions( session, {
+				action: 'query',
+				generator: 'ar', // “allrevisions”, see above
+			}, {
+				...maxEmptyResponses( 3 ),
+			} );
+
+			let { done, value: revision } = await asyncGenerator.next();
+			expect( done ).to.be.false;
+			expect( revision ).to.eql( { revid: 9 } );
+
+			( { done, value: revision } = await asyncGenerator.next() );
+			expect( done ).to.be.false;
+			expect( revision ).to.eql( { revid: 15 } );
+
+			await expect( asyncGenerator.next() )
+				.to.be.rejectedWith( TooManyEmptyResponsesError );
+		} );
+
+	} );
+
+} );
+
+describe( 'queryFullDeletedRevisions', () => {
+
+	it( 'follows continuation and returns deleted revisions with page attached', async () => {
+		const session = sequentialGetSession( [
+			{
+				expectedParams: { action: 'query', titles: 'A|B', prop: 'deletedrevisions' },
+				response: { query: { pages: [
+					{ title: 'A', deletedrevisions: [ { revid: 11 } ] },
+					{ title: 'B', missing: true },
+				] }, continue: { drvcontinue: '12' } },
+			},
+			{
+				expectedParams: {
+					action: 'query',
+					titles: 'A|B',
+					prop: 'deletedrevisions',
+					drvcontinue: '12',
+				},
+				response: { query: { pages: [
+					{ title: 'A', deletedrevisions: [ { revid: 12 } ] },
+					{ title: 'B', missing: true, deletedrevisions: [ { revid: 21 } ] },
+				] }, batchcomplete: true },
+			},
+		] );
+
+		const revisions = [];
+		for await ( const revision of queryFullDeletedRevisions( session, {
+			titles: [ 'A', 'B' ],
+		} ) ) {
+			revisions.push( revision );
+		}
+
+		expect( revisions ).to.eql( [ { revid: 11 }, { revid: 12 }, { revid: 21 } ] );
+		expect( revisions[ 0 ][ pageOfRevision ] ).to.eql( { title: 'A' } );
+		expect( revisions[ 1 ][ pageOfRevision ] ).to.eql( { title: 'A' } );
+		expect( revisions[ 2 ][ pageOfRevision ] ).to.eql( { title: 'B', missing: true } );
+	} );
+
+	it( 'returns missing revisions', async () => {
+		const session = singleGetSession( {
+			action: 'query',
+			prop: 'deletedrevisions',
+			revids: '123|789',
+		}, {
+			query: {
+				badrevids: { 123: { revid: 123 } },
+				pages: [ { pageid: 456, deletedrevisions: [ { revid: 789 } ] } ],
+			},
+			batchcomplete: true,
+		} );
+
+		const revisions = [];
+		for await ( const revision of queryFullDeletedRevisions( session, {
+			revids: [ 123, 789 ],
+		} ) ) {
+			revisions.push( revision );
+		}
+
+		expect( revisions ).to.eql( [ { revid: 123, missing: true }, { revid: 789 } ] );
+		expect( revisions[ 0 ] ).not.to.have.property( pageOfRevision );
+		expect( revisions[ 1 ][ pageOfRevision ] ).to.eql( { pageid: 456 } );
+	} );
+
+	it( 'lowers drvlimit with m3api-query/maxRevisions', async () => {
+		const session = singleGetSession( {
+			action: 'query',
+			titles: 'A',
+			prop: 'deletedrevisions',
+			drvlimit: '2',
+		}, {
+			query: { pages: [ { title: 'A', deletedrevisions: [ { revid: 1 }, { revid: 2 } ] } ] },
+			continue: { drvcontinue: '3' },
+		} );
+
+		const revisions = [];
+		for await ( const revision of queryFullDeletedRevisions( session, {
+			titles: 'A',
+			drvlimit: 'max',
+		}, {
+			'm3api-query/maxRevisions': 2,
+		} ) ) {
+			revisions.push( revision );
+		}
+
+		expect( revisions ).to.eql( [ { revid: 1 }, { revid: 2 } ] );
+	} );
+
+	it( 'requires titles, pageids, revids or generator', async () => {
+		const session = new BaseTestSession();
+		await expect( queryFullDeletedRevisions( session, {} ).next() )
+			.to.be.rejectedWith( /queryFullDeletedRevisions\(\)/ );
+	} );
+
+} );
+
+describe( 'queryFullPageHistories', () => {
+
+	it( 'yields a null page if the API does not return the page', async () => {
+		const session = sequentialGetSession( [
+			{
+				expectedParams: { action: 'query', prop: 'revisions', redirects: '', titles: 'A' },
+				response: { query: { redirects: [
+					{ from: 'A', to: 'B' },
+					{ from: 'B', to: 'A' },
+				] }, batchcomplete: true },
+			},
+			{
+				expectedParams: { action: 'query', prop: 'revisions', redirects: '', titles: 'C' },
+				response: { query: { pages: [
+					{ pageid: 3, title: 'C', revisions: [ { revid: 3 } ] },
+				] }, batchcomplete: true },
+			},
+		] );
+
+		const histories = [];
+		for await ( const history of queryFullPageHistories( session, {
+			titles: [ 'A', 'C' ],
+			redirects: true,
+		} ) ) {
+			histories.push( history );
+		}
+
+		expect( histories ).to.eql( [
+			{ page: null, revisions: [] },
+			{ page: { pageid: 3, title: 'C' }, revisions: [ { revid: 3 } ] },
+		] );
+	} );
+
+	it( 'yields the full history of each title', async () => {
+		const session = sequentialGetSession( [
+			{
+				expectedParams: { action: 'query', prop: 'revisions', rvlimit: 'max', titles: 'A' },
+				response: { query: { pages: [
+					{ pageid: 1, title: 'A', revisions: [ { revid: 1 } ] },
+				] }, continue: { rvcontinue: '2', continue: '||' } },
+			},
+			{
+				expectedParams: {
+					action: 'query',
+					prop: 'revisions',
+					rvlimit: 'max',
+					titles: 'A',
+					rvcontinue: '2',
+					continue: '||',
+				},
+				response: { query: { pages: [
+					{ pageid: 1, title: 'A', revisions: [ { revid: 2 } ] },
+				] }, batchcomplete: true },
+			},
+			{
+				expectedParams: { action: 'query', prop: 'revisions', rvlimit: 'max', titles: 'B' },
+				response: { query: { pages: [
+					{ pageid: 3, title: 'B', revisions: [ { revid: 3 } ] },
+				] }, batchcomplete: true },
+			},
+		] );
+
+		const histories = [];
+		for await ( const history of queryFullPageHistories( session, {
+			titles: [ 'A', 'B' ],
+			rvlimit: 'max',
+		} ) ) {
+			histories.push( history );
+		}
+
+		expect( histories ).to.eql( [
+			{ page: { pageid: 1, title: 'A' }, revisions: [ { revid: 1 }, { revid: 2 } ] },
+			{ page: { pageid: 3, title: 'B' }, revisions: [ { revid: 3 } ] },
+		] );
+		expect( histories[ 0 ].revisions[ 1 ][ pageOfRevision ] ).to.equal( histories[ 0 ].page );
+	} );
+
+	it( 'supports a single page ID', async () => {
+		const session = singleGetSession( { action: 'query', prop: 'revisions', pageids: '1' }, {
+			query: { pages: [
+				{ pageid: 1, title: 'A', revisions: [ { revid: 1 } ] },
+			] },
+			batchcomplete: true,
+		} );
+
+		const { value } = await queryFullPageHistories( session, { pageids: 1 } ).next();
+		expect( value ).to.eql( { page: { pageid: 1, title: 'A' }, revisions: [ { revid: 1 } ] } );
+	} );
+
+	it( 'yields missing pages without revisions', async () => {
+		const session = singleGetSession( { action: 'query', prop: 'revisions', titles: 'A' }, {
+			query: { pages: [ { title: 'A', missing: true } ] },
+			batchcomplete: true,
+		} );
+
+		const { value } = await queryFullPageHistories( session, { titles: 'A' } ).next();
+		expect( value ).to.eql( { page: { title: 'A', missing: true }, revisions: [] } );
+	} );
+
+	for ( const params of [
+		{},
+		{ titles: 'A', pageids: 1 },
+	] ) {
+		it( `requires either titles or pageids: ${ JSON.stringify( params ) }`, async () => {
+			const session = new BaseTestSession();
+			await expect( queryFullPageHistories( session, params ).next() )
+				.to.be.rejectedWith( RangeError, 'exactly one' );
+		} );
+	}
+
+	it( 'rejects generators', async () => {
+		const session = new BaseTestSession();
+		await expect( queryFullPageHistories( session, {
+			titles: 'A',
+			generator: 'links',
+		} ).next() ).to.be.rejectedWith( RangeError, 'generator' );
+	} );
+
+} );
+
+describe( 'queryRevisionsBetween', () => {
+
+	const expectedParams = {
+		action: 'query',
+		titles: 'Title',
+		prop: 'revisions',
+		rvprop: 'timestamp',
+		rvdir: 'newer',
+		rvstart: '2020-01-01T00:00:00Z',
+		rvend: '2021-01-01T12:34:56Z',
+	};
+	const response = {
+		query: { pages: [ {
+			pageid: 1,
+			title: 'Title',
+			revisions: [
+				{ revid: 1, timestamp: '2020-06-01T00:00:00Z' },
+				{ revid: 2, timestamp: '2020-12-01T00:00:00Z' },
+			],
+		} ] },
+		batchcomplete: true,
+	};
+
+	for ( const [ name, from, to ] of [
+		[ 'strings in order', '2020-01-01T00:00:00Z', '2021-01-01T12:34:56Z' ],
+		[ 'strings in reverse order', '2021-01-01T12:34:56Z', '2020-01-01T00:00:00Z' ],
+		[ 'Dates', new Date( '2020-01-01T00:00:00Z' ), new Date( '2021-01-01T12:34:56.789Z' ) ],
+		[ 'Dates in reverse order', new Date( '2021-01-01T12:34:56Z' ), new Date( '2020-01-01T00:00:00Z' ) ],
+		[ 'mixed', new Date( '2021-01-01T12:34:56Z' ), '2020-01-01' ],
+	] ) {
+		it( name, async () => {
+			const session = singleGetSession( { ...expectedParams }, response );
+			const revisions = [];
+			for await ( const revision of queryRevisionsBetween( session, 'Title', from, to, {
+				rvprop: set( 'timestamp' ),
+			} ) ) {
+				revisions.push( revision );
+			}
+			expect( revisions.map( ( { revid } ) => revid ) ).to.eql( [ 1, 2 ] );
+			expect( revisions[ 0 ][ pageOfRevision ] ).to.eql( { pageid: 1, title: 'Title' } );
+		} );
+	}
+
+	for ( const paramName of [ 'titles', 'rvdir', 'rvstart', 'rvend' ] ) {
+		it( `rejects params.${ paramName }`, async () => {
+			const session = new BaseTestSession();
+			await expect( queryRevisionsBetween( session, 'Title', '2020', '2021', {
+				[ paramName ]: 'x',
+			} ).next() ).to.be.rejectedWith( RangeError, paramName );
+		} );
+	}
+
+	it( 'rejects invalid timestamps', async () => {
+		const session = new BaseTestSession();
+		await expect( queryRevisionsBetween( session, 'Title', 'yesterday', '2021' ).next() )
+			.to.be.rejectedWith( RangeError, 'yesterday' );
+	} );
+
+} );
+
+describe( 'queryFullList', () => {
+
+	it( 'follows continuation and yields list items', async () => {
+		const session = sequentialGetSession( [
+			{
+				expectedParams: { action: 'query', list: 'logevents', leprop: 'ids' },
+				response: {
+					query: { logevents: [ { logid: 1 }, { logid: 2 } ] },
+					continue: { lecontinue: '3' },
+				},
+			},
+			{
+				expectedParams: { action: 'query', list: 'logevents', leprop: 'ids', lecontinue: '3' },
+				response: {
+					query: { logevents: [ { logid: 3 } ] },
+					batchcomplete: true,
+				},
+			},
+		] );
+
+		const items = [];
+		for await ( const item of queryFullList( session, 'logevents', { leprop: [ 'ids' ] } ) ) {
+			items.push( item );
+		}
+
+		expect( items ).to.eql( [ { logid: 1 }, { logid: 2 }, { logid: 3 } ] );
+	} );
+
+	it( 'adds the list name to an existing list param', async () => {
+		const session = singleGetSession( { action: 'query', list: 'allusers|logevents' }, {
+			query: { allusers: [ { userid: 1 } ], logevents: [ { logid: 1 } ] },
+			batchcomplete: true,
+		} );
+
+		const items = [];
+		for await ( const item of queryFullList( session, 'logevents', { list: [ 'allusers' ] } ) ) {
+			items.push( item );
+		}
+
+		expect( items ).to.eql( [ { logid: 1 } ] );
+	} );
+
+	it( 'drops truncated result warning', async () => {
+		const session = singleGetSession( { action: 'query', list: 'logevents' }, {
+			query: { logevents: [ { logid: 1 } ] },
+			warnings: [ { code: 'truncatedresult' } ],
+			batchcomplete: true,
 		} );
 
+		const { value } = await queryFullList( session, 'logevents' ).next();
+
+		expect( value ).to.eql( { logid: 1 } );
 	} );
 
-} );
+	it( 'handles responses without the list', async () => {
+		const session = singleGetSession( { action: 'query', list: 'abuselog' }, {
+			batchcomplete: true,
+		} );
 
-describe( 'queryFullRevisions', () => {
+		const { done } = await queryFullList( session, 'abuselog' ).next();
 
-	it( 'follows continuation and returns revisions with page attached', async () => {
+		expect( done ).to.be.true;
+	} );
+
+	it( 'm3api-query/compareListItems', async () => {
+		const session = singleGetSession( { action: 'query', list: 'allusers' }, {
+			query: { allusers: [ { userid: 2 }, { userid: 1 } ] },
+			batchcomplete: true,
+		} );
+
+		const items = [];
+		for await ( const item of queryFullList( session, 'allusers', {}, {
+			'm3api-query/compareListItems': ( { userid: u1 }, { userid: u2 } ) => u1 - u2,
+		} ) ) {
+			items.push( item );
+		}
+
+		expect( items ).to.eql( [ { userid: 1 }, { userid: 2 } ] );
+	} );
+
+	it( 'm3api-query/onCheckpoint and m3api-query/resumeFrom', async () => {
 		const session = sequentialGetSession( [
 			{
-				expectedParams: { action: 'query', generator: 'ar', prop: 'revisions', rvprop: 'i' },
-				response: { query: { pages: [
-					{ pageid: 1, revisions: [ { revid: 11 } ] },
-					{ pageid: 2, revisions: [ { revid: 21 } ] },
-				] }, continue: { rc: '21' } },
-			},
-			{
-				expectedParams: { action: 'query', generator: 'ar', prop: 'revisions', rvprop: 'i', rc: '21' },
-				response: { query: { pages: [
-					{ pageid: 2, revisions: [ { revid: 22 } ] },
-				] }, continue: { rc: '22' }, batchcomplete: true },
+				expectedParams: { action: 'query', list: 'recentchanges', rccontinue: 'B' },
+				response: {
+					query: { recentchanges: [ { rcid: 2 } ] },
+					continue: { rccontinue: 'C', continue: '-||' },
+				},
 			},
 			{
-				expectedParams: { action: 'query', generator: 'ar', prop: 'revisions', rvprop: 'i', rc: '22' },
-				response: { query: { pages: [
-					{ pageid: 3, revisions: [ { revid: 31 }, { revid: 32 } ] },
-				] }, batchcomplete: true },
+				expectedParams: {
+					action: 'query',
+					list: 'recentchanges',
+					rccontinue: 'C',
+					continue: '-||',
+				},
+				response: {
+					query: { recentchanges: [ { rcid: 3 } ] },
+					batchcomplete: true,
+				},
 			},
 		] );
+		const checkpoints = [];
 
-		let iteration = 0;
-		for await ( const revision of queryFullRevisions( session, {
-			generator: 'ar', // “allrevisions”, abbreviated for shorter (one-line) expectedParams above
-			rvprop: [ 'i' ], // “ids”, likewise abbreviated
+		const items = [];
+		for await ( const item of queryFullList( session, 'recentchanges', {}, {
+			'm3api-query/resumeFrom': { rccontinue: 'B' },
+			'm3api-query/onCheckpoint': ( checkpoint ) => checkpoints.push( checkpoint ),
 		} ) ) {
-			switch ( ++iteration ) {
-				case 1:
-					expect( revision ).to.eql( { revid: 11 } );
-					expect( revision[ pageOfRevision ] ).to.eql( { pageid: 1 } );
-					break;
-				case 2:
-					expect( revision ).to.eql( { revid: 21 } );
-					expect( revision[ pageOfRevision ] ).to.eql( { pageid: 2 } );
-					break;
-				case 3:
-					expect( revision ).to.eql( { revid: 22 } );
-					expect( revision[ pageOfRevision ] ).to.eql( { pageid: 2 } );
-					break;
-				case 4:
-					expect( revision ).to.eql( { revid: 31 } );
-					expect( revision[ pageOfRevision ] ).to.eql( { pageid: 3 } );
-					break;
-				case 5:
-					expect( revision ).to.eql( { revid: 32 } );
-					expect( revision[ pageOfRevision ] ).to.eql( { pageid: 3 } );
-					break;
-				default:
-					throw new Error( `Unexpected iteration #${ iteration }` );
-			}
+			items.push( item );
 		}
 
-		expect( iteration ).to.equal( 5 );
+		expect( items ).to.eql( [ { rcid: 2 }, { rcid: 3 } ] );
+		expect( checkpoints ).to.eql( [ { rccontinue: 'C', continue: '-||' } ] );
 	} );
 
-	it( 'returns missing revisions', async () => {
-		const expectedParams = { action: 'query', prop: 'revisions', revids: '123|789' };
-		const response = { query: {
-			badrevids: { 123: { revid: 123 } },
-			pages: [ { pageid: 456, revisions: [ { revid: 789 } ] } ],
-			batchcomplete: true,
-		} };
-		const session = singleGetSession( expectedParams, response );
+	it( 'm3api-query/onProgress', async () => {
+		const session = sequentialGetSession( [
+			{
+				expectedParams: { action: 'query', list: 'usercontribs' },
+				response: {
+					query: { usercontribs: [ { revid: 1 } ] },
+					continue: { uccontinue: 'B' },
+				},
+			},
+			{
+				expectedParams: { action: 'query', list: 'usercontribs', uccontinue: 'B' },
+				response: {
+					query: { usercontribs: [ { revid: 2 } ] },
+					batchcomplete: true,
+				},
+			},
+		] );
+		const progresses = [];
 
-		let iteration = 0;
-		for await ( const revision of queryFullRevisions( session, { revids: [ 123, 789 ] } ) ) {
-			switch ( ++iteration ) {
-				case 1:
-					expect( revision ).to.eql( { revid: 123, missing: true } );
-					expect( revision ).not.to.have.property( pageOfRevision );
-					break;
-				case 2:
-					expect( revision ).to.eql( { revid: 789 } );
-					expect( revision[ pageOfRevision ] ).to.eql( { pageid: 456 } );
-					break;
-			}
+		for await ( const item of queryFullList( session, 'usercontribs', {}, {
+			'm3api-query/onProgress': ( progress ) => progresses.push( progress ),
+		} ) ) {
+			expect( item ).to.have.property( 'revid' );
 		}
 
-		expect( iteration ).to.equal( 2 );
+		expect( progresses ).to.eql( [
+			{
+				requests: 1,
+				batches: 0,
+				items: 0,
+				consecutiveEmptyResponses: 0,
+				continue: { uccontinue: 'B' },
+			},
+			{
+				requests: 2,
+				batches: 1,
+				items: 1,
+				consecutiveEmptyResponses: 0,
+				continue: null,
+			},
+		] );
 	} );
 
-	it( 'sorts pages per batch according to option', async () => {
+	it( 'maxEmptyResponses', async () => {
 		const session = sequentialGetSession( [
 			{
-				expectedParams: { action: 'query', generator: 'ar', prop: 'revisions' },
-				response: { query: { pages: [
-					{ pageid: 2, revisions: [ { revid: 210 } ] },
-					{ pageid: 1, revisions: [ { revid: 120 }, { revid: 110 } ] },
-				] }, continue: { garc: '3' }, batchcomplete: true },
+				expectedParams: { action: 'query', list: 'abuselog' },
+				response: { query: { abuselog: [] }, continue: { aflstart: 'B' } },
 			},
 			{
-				expectedParams: { action: 'query', generator: 'ar', prop: 'revisions', garc: '3' },
-				response: { query: { pages: [
-					{ pageid: 4, revisions: [ { revid: 41 } ] },
-					{ pageid: 3, revisions: [ { revid: 31 } ] },
-				] }, batchcomplete: true },
+				expectedParams: { action: 'query', list: 'abuselog', aflstart: 'B' },
+				response: { query: { abuselog: [] }, continue: { aflstart: 'C' } },
 			},
 		] );
 
-		let iteration = 0;
-		for await ( const revision of queryFullRevisions( session, {
-			generator: 'ar', // “allrevisions”, abbreviated for shorter (one-line) expectedParams above
-		}, {
-			'm3api-query/compareRevisions': ( { revid: r1 }, { revid: r2 } ) => r1 - r2,
-		} ) ) {
-			switch ( ++iteration ) {
-				case 1:
-					expect( revision ).to.eql( { revid: 110 } );
-					break;
-				case 2:
-					expect( revision ).to.eql( { revid: 120 } );
-					break;
-				case 3:
-					expect( revision ).to.eql( { revid: 210 } );
-					break;
-				case 4:
-					expect( revision ).to.eql( { revid: 31 } );
-					break;
-				case 5:
-					expect( revision ).to.eql( { revid: 41 } );
-					break;
-				default:
-					throw new Error( `Unexpected iteration #${ iteration }` );
-			}
-		}
+		await expect( queryFullList( session, 'abuselog', {}, {
+			...maxEmptyResponses( 1 ),
+		} ).next() ).to.be.rejectedWith( TooManyEmptyResponsesError );
+	} );
 
-		expect( iteration ).to.equal( 5 );
+	it( 'maxRequests', async () => {
+		const session = singleGetSession( { action: 'query', list: 'allusers' }, {
+			query: { allusers: [ { userid: 1 } ] },
+			continue: { aufrom: 'B' },
+		} );
+
+		const iterator = queryFullList( session, 'allusers', {}, { ...maxRequests( 1 ) } );
+		expect( ( await iterator.next() ).value ).to.eql( { userid: 1 } );
+		await expect( iterator.next() ).to.be.rejectedWith( TooManyRequestsError );
 	} );
 
-	describe( 'checks if parameters can produce pages', () => {
+} );
 
-		// subset of the queryFullPages tests
+describe( 'QueryBatcher', () => {
 
-		it( 'titles is valid', async () => {
-			const title = 'Title';
-			const response = { query: { pages: [ {
-				title,
-				revisions: [ { revid: 123 } ],
-			} ] }, batchcomplete: true };
-			const session = singleGetSession( null, response );
-			await queryFullRevisions( session, { titles: title } ).next();
-		} );
+	it( 'coalesces title lookups with the same params', async () => {
+		const session = sequentialGetSession( [
+			{
+				expectedParams: { action: 'query', titles: 'A|b|C', prop: 'info' },
+				response: { query: {
+					normalized: [ { from: 'b', to: 'B' } ],
+					pages: [
+						{ pageid: 1, title: 'A' },
+						{ pageid: 2, title: 'B' },
+						{ title: 'C', missing: true },
+					],
+				}, batchcomplete: true },
+			},
+			{
+				expectedParams: { action: 'query', titles: 'D', prop: 'revisions' },
+				response: { query: { pages: [
+					{ pageid: 4, title: 'D' },
+				] }, batchcomplete: true },
+			},
+		] );
+		const batcher = new QueryBatcher( session );
+
+		const pages = await Promise.all( [
+			batcher.queryFullPageByTitle( 'A', { prop: set( 'info' ) } ),
+			batcher.queryFullPageByTitle( 'b', { prop: set( 'info' ) } ),
+			batcher.queryFullPageByTitle( 'D', { prop: set( 'revisions' ) } ),
+			batcher.queryFullPageByTitle( 'C', { prop: [ 'info' ] } ),
+			batcher.queryFullPageByTitle( 'A', { prop: set( 'info' ) } ),
+		] );
 
-		it( 'empty params are invalid', async () => {
-			const session = new BaseTestSession();
-			await expect( queryFullRevisions( session, {} ).next() )
-				.to.be.rejectedWith( new RegExp(
-					'^' +
-					'Request params for queryFullRevisions\\(\\) must include titles, pageids, revids, and/or generator!' +
-					'$',
-				) );
-		} );
+		expect( pages ).to.eql( [
+			{ pageid: 1, title: 'A' },
+			{ pageid: 2, title: 'B' },
+			{ pageid: 4, title: 'D' },
+			{ title: 'C', missing: true },
+			{ pageid: 1, title: 'A' },
+		] );
+	} );
+
+	it( 'coalesces page ID lookups', async () => {
+		const response = { query: { pages: [
+			{ pageid: 1, title: 'A' },
+			{ pageid: 2, missing: true },
+		] }, batchcomplete: true };
+		const session = singleGetSession( { action: 'query', pageids: '1|2' }, response );
+		const batcher = new QueryBatcher( session );
+
+		const pages = await Promise.all( [
+			batcher.queryFullPageByPageId( 1 ),
+			batcher.queryFullPageByPageId( '2' ),
+		] );
 
+		expect( pages ).to.eql( [
+			{ pageid: 1, title: 'A' },
+			{ pageid: 2, missing: true },
+		] );
 	} );
 
-	describe( 'maxEmptyResponses( limit: 3 )', () => {
+	it( 'coalesces revision ID lookups', async () => {
+		const response = { query: {
+			badrevids: { 99: { revid: 99, missing: true } },
+			pages: [ { pageid: 1, revisions: [ { revid: 11 } ] } ],
+		}, batchcomplete: true };
+		const session = singleGetSession( { action: 'query', revids: '11|99', prop: 'revisions' }, response );
+		const batcher = new QueryBatcher( session );
+
+		const [ revision, missingRevision ] = await Promise.all( [
+			batcher.queryFullRevisionByRevisionId( 11 ),
+			batcher.queryFullRevisionByRevisionId( 99 ),
+		] );
 
-		// amalgam of the queryFullPages tests
+		expect( revision ).to.eql( { revid: 11 } );
+		expect( revision[ pageOfRevision ] ).to.eql( { pageid: 1 } );
+		expect( missingRevision ).to.eql( { revid: 99, missing: true } );
+	} );
 
-		it( 'allows limit empty + 1 nonempty + 1 empty + 1 nonempty responses, then stops at limit + 1 consecutive empty responses', async () => {
-			const session = sequentialGetSession( [
-				{
-					expectedParams: { action: 'query', generator: 'ar', prop: 'revisions' },
-					response: { continue: { garc: '3' }, batchcomplete: true },
-				},
-				{
-					expectedParams: { action: 'query', generator: 'ar', prop: 'revisions', garc: '3' },
-					response: { continue: { garc: '6' }, batchcomplete: true },
-				},
-				{
-					expectedParams: { action: 'query', generator: 'ar', prop: 'revisions', garc: '6' },
-					response: { continue: { garc: '9' }, batchcomplete: true },
-				},
-				{
-					expectedParams: { action: 'query', generator: 'ar', prop: 'revisions', garc: '9' },
-					response: { query: { pages: [
-						{ revisions: [ { revid: 9 } ] },
-					] }, continue: { garc: '12' }, batchcomplete: true },
-				},
-				{
-					expectedParams: { action: 'query', generator: 'ar', prop: 'revisions', garc: '12' },
-					response: { continue: { garc: '15' }, batchcomplete: true },
-				},
-				{
-					expectedParams: { action: 'query', generator: 'ar', prop: 'revisions', garc: '15' },
-					response: { query: { pages: [
-						{ revisions: [ { revid: 15 } ] },
-					] }, continue: { garc: '18' }, batchcomplete: true },
-				},
-				{
-					expectedParams: { action: 'query', generator: 'ar', prop: 'revisions', garc: '18' },
-					response: { continue: { garc: '21' }, batchcomplete: true },
-				},
-				{
-					expectedParams: { action: 'query', generator: 'ar', prop: 'revisions', garc: '21' },
-					response: { continue: { garc: '24' }, batchcomplete: true },
-				},
-				{
-					expectedParams: { action: 'query', generator: 'ar', prop: 'revisions', garc: '24' },
-					response: { continue: { garc: '27' }, batchcomplete: true },
-				},
-				{
-					expectedParams: { action: 'query', generator: 'ar', prop: 'revisions', garc: '27' },
-					response: { continue: { garc: '30' }, batchcomplete: true },
-				},
-			] );
+	it( 'sends calls in different ticks separately', async () => {
+		const session = sequentialGetSession( [
+			{
+				expectedParams: { action: 'query', titles: 'A' },
+				response: { query: { pages: [ { title: 'A' } ] }, batchcomplete: true },
+			},
+			{
+				expectedParams: { action: 'query', titles: 'B' },
+				response: { query: { pages: [ { title: 'B' } ] }, batchcomplete: true },
+			},
+		] );
+		const batcher = new QueryBatcher( session );
 
-			const asyncGenerator = queryFullRevisions( session, {
-				action: 'query',
-				generator: 'ar', // “allrevisions”, see above
-			}, {
-				...maxEmptyResponses( 3 ),
-			} );
+		expect( await batcher.queryFullPageByTitle( 'A' ) ).to.eql( { title: 'A' } );
+		expect( await batcher.queryFullPageByTitle( 'B' ) ).to.eql( { title: 'B' } );
+	} );
 
-			let { done, value: revision } = await asyncGenerator.next();
-			expect( done ).to.be.false;
-			expect( revision ).to.eql( { revid: 9 } );
+	it( 'rejects all calls of a failed batch', async () => {
+		class TestSession extends BaseTestSession {
+			async internalGet() {
+				throw new Error( 'network error' );
+			}
+		}
+		const batcher = new QueryBatcher( new TestSession() );
 
-			( { done, value: revision } = await asyncGenerator.next() );
-			expect( done ).to.be.false;
-			expect( revision ).to.eql( { revid: 15 } );
+		const promiseA = batcher.queryFullPageByTitle( 'A' );
+		const promiseB = batcher.queryFullPageByTitle( 'B' );
 
-			await expect( asyncGenerator.next() )
-				.to.be.rejectedWith( TooManyEmptyResponsesError );
-		} );
+		await expect( promiseA ).to.be.rejectedWith( 'network error' );
+		await expect( promiseB ).to.be.rejectedWith( 'network error' );
+	} );
 
+	it( 'disallows titles in params', async () => {
+		const batcher = new QueryBatcher( new BaseTestSession() );
+		await expect( batcher.queryFullPageByTitle( 'A', { titles: 'B' } ) )
+			.to.be.rejectedWith( RangeError, 'titles' );
 	} );
 
 } );